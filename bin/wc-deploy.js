@@ -4,7 +4,7 @@
 process.env.DOTENV_CONFIG_DEBUG = 'false';
 process.env.DOTENV_CONFIG_SILENT = 'true';
 
-import { program } from 'commander';
+import { program, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import { deployCommand } from '../src/commands/deploy.js';
 import { versionCommand } from '../src/commands/version.js';
@@ -18,6 +18,24 @@ import { phpcsCommand } from '../src/commands/phpcs.js';
 import { updateAllCommand } from '../src/commands/update-all.js';
 import { securityCommand } from '../src/commands/security.js';
 import { monitorCommand } from '../src/commands/monitor.js';
+import { configValidateCommand, configShowCommand } from '../src/commands/config.js';
+import { authLoginCommand, authStatusCommand, authLogoutCommand } from '../src/commands/auth.js';
+import { changelogSyncCommand, changelogLintCommand, changelogDiffCommand } from '../src/commands/changelog.js';
+import { releaseNotesCommand } from '../src/commands/release-notes.js';
+import { watchCommand } from '../src/commands/watch.js';
+import { validateProfileName } from '../src/utils/profile-name.js';
+import { zipCommand, zipInspectCommand, zipDiffCommand } from '../src/commands/zip.js';
+
+/**
+ * Check --profile values before they reach credentialCommand
+ */
+function parseProfileName(value) {
+  const valid = validateProfileName(value);
+  if (valid !== true) {
+    throw new InvalidArgumentError(`Profile names ${valid}.`);
+  }
+  return value;
+}
 
 program
   .name('wcm')
@@ -31,16 +49,126 @@ program
   .option('-f, --force', 'Overwrite existing config without prompting')
   .action(initCommand);
 
+// Config commands
+const configCmd = program
+  .command('config')
+  .description('Inspect and validate .deployrc.json');
+
+configCmd
+  .command('validate')
+  .description('Validate .deployrc.json and report all problems')
+  .option('--file <path>', 'Validate a different config file')
+  .action(configValidateCommand);
+
+configCmd
+  .command('show')
+  .description('Print .deployrc.json, or the merged config with --resolved')
+  .option('--resolved', 'Show the merged config and which layer each value came from')
+  .option('--json', 'Output JSON (with --resolved)')
+  .action(configShowCommand);
+
+// Auth commands
+const authCmd = program
+  .command('auth')
+  .description('Manage WooCommerce.com credentials');
+
+authCmd
+  .command('login')
+  .description('Store WooCommerce.com credentials (mode 600)')
+  .option('--profile <name>', 'Credential profile to store (default: "default")', parseProfileName)
+  .option('--api-url <url>', 'Override the submission API URL')
+  .action(authLoginCommand);
+
+authCmd
+  .command('status')
+  .description('Show which credential source is in use')
+  .option('--profile <name>', 'Credential profile to check (default: project credentialProfile)', parseProfileName)
+  .action(authStatusCommand);
+
+authCmd
+  .command('logout')
+  .description('Remove stored credentials')
+  .option('--profile <name>', 'Credential profile to remove (default: "default")', parseProfileName)
+  .action(authLogoutCommand);
+
+// Changelog commands
+const changelogCmd = program
+  .command('changelog')
+  .description('Manage changelog.txt and the files rendered from it');
+
+changelogCmd
+  .command('sync')
+  .description('Regenerate changelogTargets (readme.txt, CHANGELOG.md) from changelog.txt')
+  .option('--dry-run', 'Show which files would change')
+  .action(changelogSyncCommand);
+
+changelogCmd
+  .command('lint')
+  .description('Check changelog.txt dates, version order, entry types and indentation')
+  .option('--fix', 'Fix mechanical issues (header format, entry format, indentation)')
+  .option('--expect-version <version>', 'Require the top entry to be this version')
+  .option('--all-releases', 'Enforce and fix entry rules in released history too, not just the top release')
+  .action(changelogLintCommand);
+
+changelogCmd
+  .command('diff')
+  .description('Compare changelog.txt with the changelog live on WooCommerce.com')
+  .option('--json', 'Output the comparison as JSON')
+  .action(changelogDiffCommand);
+
+// Release notes command
+program
+  .command('release-notes [from] [to]')
+  .description('Render changelog.txt entries for a version range as release notes (default: latest release)')
+  .option('--format <format>', 'Output format: md, html, text or json', 'md')
+  .option('--since <date>', 'Only releases on or after this date (YYYY-MM-DD)')
+  .option('--until <date>', 'Only releases on or before this date (YYYY-MM-DD)')
+  .option('--all', 'Include every extension from the extensions config file')
+  .option('--config <path>', 'Path to extensions config file (default: ~/.es-extensions.json)')
+  .option('-o, --output <file>', 'Write the release notes to a file instead of stdout')
+  .action(releaseNotesCommand);
+
 // Build command
 program
   .command('build')
-  .description('Build the distribution package (CSS minify, POT generation, zip)')
+  .description('Build the distribution package (SCSS, CSS/JS minify, POT generation, zip)')
   .option('--dry-run', 'Simulate without making changes')
   .option('--skip-version-check', 'Skip version consistency check')
   .option('--use-builtin', 'Force use of built-in build tasks instead of buildCommand')
   .option('-f, --force', 'Continue even if version check fails')
+  .option('--dev', 'Development build: write CSS/SCSS source maps and keep them in the zip')
+  .option('--no-cache', 'Ignore the build cache and rebuild everything')
+  .option('--concurrency <n>', 'Build steps and file copies to run at once (default: CPU cores)')
   .action(buildCommand);
 
+// Watch command
+program
+  .command('watch')
+  .description('Watch SCSS, CSS, JS and PHP files and re-run the affected build tasks on change')
+  .option('--zip', 'Also rebuild the distribution zip after every change')
+  .option('--verbose', 'Show full task output instead of one line per change')
+  .action(watchCommand);
+
+// Zip commands
+const zipCmd = program
+  .command('zip')
+  .description('Build only the distribution zip, or explain why a path is in or out of it')
+  .option('--explain <path>', 'Show which rule includes or excludes a file or directory')
+  .option('--dry-run', 'Simulate without making changes')
+  .action(zipCommand);
+
+zipCmd
+  .command('inspect [zip]')
+  .description('List the zip contents with sizes and flag files that should not ship (default: dist/<slug>.zip)')
+  .option('--json', 'Output the report as JSON')
+  .action(zipInspectCommand);
+
+zipCmd
+  .command('diff [old] [new]')
+  .description('Compare two zips (default: the previous release or build against dist/<slug>.zip)')
+  .option('--json', 'Output the diff as JSON')
+  .action(zipDiffCommand);
+
 // POT command
 program
   .command('pot')
@@ -89,6 +217,7 @@ program
   .description('Quick compatibility update - check WP/WC versions, bump patch, build, deploy, commit, push')
   .option('--dry-run', 'Preview changes without executing')
   .option('--skip-phpcs', 'Skip PHPCS coding standards check')
+  .option('--skip-size-check', 'Deploy even if the zip size changed more than zipSizeThreshold')
   .action(syncCommand);
 
 // Update-all command
@@ -98,15 +227,19 @@ program
   .option('--config <path>', 'Path to extensions config file (default: ~/.es-extensions.json)')
   .option('--dry-run', 'Preview changes without executing')
   .option('--skip-phpcs', 'Skip PHPCS coding standards check')
+  .option('--skip-size-check', 'Deploy even if a zip size changed more than zipSizeThreshold')
+  .option('--profile <name>', 'Credential profile to deploy every extension with', parseProfileName)
   .action((paths, options) => updateAllCommand({ ...options, paths }));
 
 // Version command
 program
   .command('version [newVersion]')
-  .description('Update version numbers. Interactive prompt if no version specified.')
+  .description('Update version numbers. Accepts a version or release type (patch, minor, major, prerelease, ...). Interactive prompt if neither is specified.')
   .option('--dry-run', 'Simulate without making changes')
   .option('-f, --force', 'Skip sanity checks and prompts')
   .option('-m, --message <entry>', 'Changelog entry (can be used multiple times)', (val, acc) => { acc.push(val); return acc; }, [])
+  .option('--preid <id>', 'Pre-release identifier (e.g., beta -> 2.4.0-beta.1)')
+  .option('--auto', 'Infer the version and changelog from conventional commits since the last tag')
   .action(versionCommand);
 
 // Deploy command
@@ -115,9 +248,13 @@ program
   .description('Full deployment: version bump, build, git tag, and deploy to WooCommerce.com')
   .option('-v, --version <version>', 'Version number (e.g., 2.3.8)')
   .option('--skip-phpcs', 'Skip PHPCS coding standards check')
+  .option('--skip-changelog-lint', 'Skip the changelog.txt lint gate')
   .option('--skip-tests', 'Skip QIT tests')
   .option('--skip-build', 'Skip build step')
+  .option('--skip-size-check', 'Deploy even if the zip size changed more than zipSizeThreshold')
   .option('--skip-deploy', 'Skip deployment to WooCommerce.com')
+  .option('--profile <name>', 'Credential profile to deploy with (overrides credentialProfile)', parseProfileName)
+  .option('--allow-prerelease', 'Allow deploying a pre-release version (e.g., 2.4.0-beta.1)')
   .option('--dry-run', 'Simulate without making changes')
   .action(deployCommand);
 
@@ -125,6 +262,7 @@ program
 program
   .command('status')
   .description('Check WooCommerce.com deployment status')
+  .option('--profile <name>', 'Credential profile to use (overrides credentialProfile)', parseProfileName)
   .action(statusCommand);
 
 // Monitor command
@@ -133,6 +271,7 @@ program
   .description('Watch deployment status with live updates, notifications, and speech')
   .option('--all', 'Monitor all extensions from config file')
   .option('--config <path>', 'Path to extensions config file (default: ~/.es-extensions.json)')
+  .option('--profile <name>', 'Credential profile to use (overrides credentialProfile)', parseProfileName)
   .action(monitorCommand);
 
 // Handle unknown commands
@@ -140,7 +279,13 @@ program.on('command:*', function () {
   console.error(chalk.red(`\nInvalid command: ${program.args.join(' ')}`));
   console.log(chalk.yellow('\nAvailable commands:'));
   console.log(chalk.cyan('  init       ') + chalk.gray('Initialize .deployrc.json'));
+  console.log(chalk.cyan('  auth       ') + chalk.gray('Manage WooCommerce.com credentials (auth login|status|logout)'));
+  console.log(chalk.cyan('  config     ') + chalk.gray('Validate or show configuration (config validate|show)'));
+  console.log(chalk.cyan('  changelog  ') + chalk.gray('Lint, diff or sync the changelog (changelog lint|diff|sync)'));
+  console.log(chalk.cyan('  release-notes ') + chalk.gray('Render release notes from changelog.txt'));
   console.log(chalk.cyan('  build      ') + chalk.gray('Build distribution package'));
+  console.log(chalk.cyan('  watch      ') + chalk.gray('Rebuild assets and POT on change'));
+  console.log(chalk.cyan('  zip        ') + chalk.gray('Build, explain, inspect or diff the zip (zip --explain <path>|inspect|diff)'));
   console.log(chalk.cyan('  pot        ') + chalk.gray('Generate POT file'));
   console.log(chalk.cyan('  phpcs      ') + chalk.gray('Run PHP CodeSniffer with WooCommerce standards'));
   console.log(chalk.cyan('  security   ') + chalk.gray('Local PHPCS + QIT remote security scan'));
@@ -0,0 +1,167 @@
+import chalk from 'chalk';
+import inquirer from 'inquirer';
+import { access } from 'fs/promises';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+import { resolveConfig } from '../utils/config-loader.js';
+import {
+  DEFAULT_API_URL,
+  DEFAULT_PROFILE,
+  getCredentialsFilePath,
+  getCredentialOptions,
+  describeCredentialSources,
+  listStoredProfiles,
+  saveCredentials,
+  removeCredentials
+} from '../utils/credential-store.js';
+
+/**
+ * Read credentialCommand and credentialProfile from the layered config, if
+ * we're in a project (they may also be set in ~/.es/config.json, which only
+ * applies inside one). An explicit --profile wins.
+ */
+async function getProjectCredentialOptions(profile) {
+  let options = getCredentialOptions();
+
+  try {
+    await access(join(process.cwd(), '.deployrc.json'));
+    const { config } = await resolveConfig(process.cwd());
+    options = getCredentialOptions(config);
+  } catch (error) {
+    // Not in a project
+  }
+
+  return profile ? { ...options, profile } : options;
+}
+
+/**
+ * Mask a secret, keeping only the last few characters
+ */
+function mask(secret) {
+  if (secret.length <= 4) return '****';
+  return '*'.repeat(Math.min(secret.length - 4, 12)) + secret.slice(-4);
+}
+
+/**
+ * Store WooCommerce.com credentials in the credentials file
+ */
+export async function authLoginCommand(options) {
+  console.log(chalk.bold.cyan('\n  WooCommerce.com Login\n'));
+
+  const profile = options.profile || DEFAULT_PROFILE;
+  if (profile !== DEFAULT_PROFILE) {
+    logger.info(`Profile: ${chalk.bold(profile)}\n`);
+  }
+
+  console.log(chalk.gray('  Create an application password at https://woocommerce.com/my-account/\n'));
+
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'username',
+      message: 'WooCommerce.com username:',
+      validate: input => input.trim().length > 0 || 'Username is required'
+    },
+    {
+      type: 'password',
+      name: 'password',
+      message: 'Application password:',
+      mask: '*',
+      validate: input => input.trim().length > 0 || 'Password is required'
+    }
+  ]);
+
+  const path = await saveCredentials({
+    username: answers.username.trim(),
+    password: answers.password.trim(),
+    apiUrl: options.apiUrl || DEFAULT_API_URL
+  }, profile);
+
+  console.log();
+  logger.success(`Credentials for profile "${profile}" saved to ${path} (mode 600)`);
+  console.log();
+}
+
+/**
+ * Show which credential source is in use
+ */
+export async function authStatusCommand(options = {}) {
+  console.log(chalk.bold.cyan('\n  WooCommerce.com Credentials\n'));
+
+  const credentialOptions = await getProjectCredentialOptions(options.profile);
+  logger.info(`Profile: ${chalk.bold(credentialOptions.profile)}`);
+
+  try {
+    const stored = await listStoredProfiles();
+    if (stored.length > 0) {
+      logger.info(`Stored profiles: ${stored.join(', ')}`);
+    }
+  } catch (error) {
+    // Reported below as a credentials-file error
+  }
+  console.log();
+
+  const sources = await describeCredentialSources(credentialOptions);
+  const active = sources.find(s => s.credentials && !s.error);
+  const blocking = sources.find(s => s.error);
+
+  for (const source of sources) {
+    let state;
+    if (source.error) {
+      state = chalk.red(`error: ${source.error}`);
+    } else if (source.credentials) {
+      state = source === active ? chalk.green('in use') : chalk.gray('available (shadowed)');
+    } else {
+      state = chalk.gray('not set');
+    }
+
+    console.log(`  ${chalk.cyan(source.name.padEnd(18))} ${state}`);
+    console.log(chalk.gray(`  ${''.padEnd(18)} ${source.location}`));
+  }
+
+  console.log();
+
+  if (blocking && (!active || sources.indexOf(blocking) < sources.indexOf(active))) {
+    logger.error(`Credential source "${blocking.name}" is misconfigured`);
+    console.log();
+    process.exit(1);
+  }
+
+  if (!active) {
+    const loginHint = credentialOptions.profile === DEFAULT_PROFILE ? 'es auth login' : `es auth login --profile ${credentialOptions.profile}`;
+    logger.warn(`No credentials found. Run "${loginHint}".`);
+    console.log();
+    process.exit(1);
+  }
+
+  logger.info(`Username: ${chalk.bold(active.credentials.username)}`);
+  logger.info(`Password: ${mask(active.credentials.password)}`);
+  if (active.credentials.apiUrl !== DEFAULT_API_URL) {
+    logger.info(`API URL:  ${active.credentials.apiUrl}`);
+  }
+  console.log();
+}
+
+/**
+ * Remove stored credentials
+ */
+export async function authLogoutCommand(options = {}) {
+  console.log(chalk.bold.cyan('\n  WooCommerce.com Logout\n'));
+
+  const profile = options.profile || DEFAULT_PROFILE;
+  const removed = await removeCredentials(profile);
+
+  if (removed) {
+    logger.success(`Removed profile "${profile}" from ${getCredentialsFilePath()}`);
+  } else {
+    logger.info(`No stored credentials for profile "${profile}"`);
+  }
+
+  const remaining = (await describeCredentialSources({ ...await getProjectCredentialOptions(), profile }))
+    .filter(s => s.credentials);
+
+  if (remaining.length > 0) {
+    logger.warn(`Credentials are still provided by: ${remaining.map(s => s.name).join(', ')}`);
+  }
+  console.log();
+}
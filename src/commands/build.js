@@ -10,7 +10,22 @@ import { checkVersionConsistency } from '../utils/version-checker.js';
 export async function buildCommand(options) {
   console.log(chalk.bold.cyan('\n  Building Distribution Package\n'));
 
-  const config = await loadConfig();
+  let config = await loadConfig();
+
+  if (options.concurrency) {
+    const concurrency = Number(options.concurrency);
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      logger.error('--concurrency must be a positive integer');
+      process.exit(1);
+    }
+    config = { ...config, build: { ...config.build, concurrency } };
+  }
+
+  // Development profile: source maps are written and kept in the zip
+  if (options.dev) {
+    config = { ...config, cssSourceMaps: true, scssSourceMaps: true, includeSourceMaps: true };
+    logger.info('Development build: writing source maps and keeping them in the zip');
+  }
 
   // Check version consistency first (like grunt's check-versions task)
   if (!options.skipVersionCheck) {
@@ -31,7 +46,7 @@ export async function buildCommand(options) {
       await runLegacyBuild(config, options.dryRun);
     } else {
       // Use built-in build process
-      await runBuild(config, options.dryRun);
+      await runBuild(config, options.dryRun, { cache: options.cache, dev: options.dev });
     }
 
     console.log(chalk.green('\n  Build completed successfully!\n'));
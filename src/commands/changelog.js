@@ -0,0 +1,223 @@
+import chalk from 'chalk';
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { loadConfig } from '../utils/config-loader.js';
+import { logger } from '../utils/logger.js';
+import { syncChangelogTargets } from '../tasks/changelog-sync.js';
+import { DEFAULT_CHANGELOG_TYPES, parseChangelog } from '../utils/changelog.js';
+import { lintChangelog, fixChangelog, formatLintIssue } from '../utils/changelog-lint.js';
+import { diffChangelogs } from '../utils/changelog-diff.js';
+import { fetchRemoteChangelog, parseRemoteChangelog } from '../utils/deployed-version.js';
+
+/**
+ * Regenerate every changelogTargets file from changelog.txt
+ */
+export async function changelogSyncCommand(options) {
+  console.log(chalk.bold.cyan('\n  Changelog Sync\n'));
+
+  const config = await loadConfig();
+
+  if (!config.changelogTargets || config.changelogTargets.length === 0) {
+    logger.warn('No changelogTargets configured in .deployrc.json');
+    logger.info('Example: "changelogTargets": [{ "file": "readme.txt", "format": "readme" }]');
+    console.log();
+    return;
+  }
+
+  try {
+    const results = await syncChangelogTargets(config, options.dryRun);
+    const changed = results.filter(r => r.changed).length;
+
+    console.log();
+    if (options.dryRun) {
+      logger.info(`${changed} of ${results.length} target(s) would change`);
+    } else {
+      logger.success(`${changed} of ${results.length} target(s) updated`);
+    }
+    console.log();
+  } catch (error) {
+    logger.error(`Changelog sync failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Print lint issues, errors first
+ */
+export function printLintIssues(issues, file = 'changelog.txt') {
+  for (const issue of issues.filter(i => i.severity === 'error')) {
+    console.error(chalk.red('  ✖'), formatLintIssue(issue, file));
+  }
+  for (const issue of issues.filter(i => i.severity === 'warning')) {
+    console.log(chalk.yellow('  ⚠'), formatLintIssue(issue, file));
+  }
+}
+
+/**
+ * Lint changelog.txt, optionally fixing mechanical issues
+ */
+export async function changelogLintCommand(options) {
+  console.log(chalk.bold.cyan('\n  Changelog Lint\n'));
+
+  const config = await loadConfig();
+  const changelogPath = join(process.cwd(), 'changelog.txt');
+  const lintOptions = {
+    types: config.changelogTypes || DEFAULT_CHANGELOG_TYPES,
+    version: options.expectVersion,
+    allReleases: options.allReleases
+  };
+
+  let content;
+  try {
+    content = await readFile(changelogPath, 'utf-8');
+  } catch (error) {
+    logger.error('No changelog.txt found');
+    process.exit(1);
+  }
+
+  if (options.fix) {
+    const result = fixChangelog(content, lintOptions);
+    if (result.fixed > 0) {
+      await writeFile(changelogPath, result.text, 'utf-8');
+      logger.success(`Fixed ${result.fixed} issue(s)`);
+      console.log();
+    }
+    content = result.text;
+  }
+
+  const issues = lintChangelog(content, lintOptions);
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+
+  if (issues.length === 0) {
+    logger.success('changelog.txt is valid');
+    console.log();
+    return;
+  }
+
+  printLintIssues(issues);
+  console.log();
+
+  if (!options.fix && issues.some(i => i.fixable)) {
+    logger.info('Run "es changelog lint --fix" to fix the issues marked (fixable)');
+  }
+
+  if (errors.length > 0) {
+    logger.error(`${errors.length} error(s), ${warnings.length} warning(s)`);
+    console.log();
+    process.exit(1);
+  }
+
+  logger.warn(`${warnings.length} warning(s)`);
+  console.log();
+}
+
+/**
+ * Compare changelog.txt with the changelog live on WooCommerce.com
+ *
+ * Exits with 1 when a deploy would publish releases out of order or the
+ * deployed changelog has releases that changelog.txt lost.
+ */
+export async function changelogDiffCommand(options) {
+  if (!options.json) {
+    console.log(chalk.bold.cyan('\n  Changelog Diff\n'));
+  }
+
+  const config = await loadConfig();
+
+  if (!config.productId) {
+    logger.error('No productId configured in .deployrc.json');
+    process.exit(1);
+  }
+
+  let local;
+  let remote;
+  try {
+    local = parseChangelog(await readFile(join(process.cwd(), 'changelog.txt'), 'utf-8'));
+  } catch (error) {
+    logger.error('No changelog.txt found');
+    process.exit(1);
+  }
+
+  try {
+    remote = parseRemoteChangelog(await fetchRemoteChangelog(config.productId));
+  } catch (error) {
+    logger.error(`Failed to fetch changelog from WooCommerce.com: ${error.message}`);
+    process.exit(1);
+  }
+
+  const diff = diffChangelogs(local, remote);
+  const outOfOrder = diff.missing.length > 0 || diff.remoteOnly.length > 0;
+
+  if (options.json) {
+    const versions = releases => releases.map(r => ({ version: r.version, date: r.date, entries: r.entries.map(e => e.text) }));
+    console.log(JSON.stringify({
+      deployedVersion: diff.deployedVersion,
+      localVersion: local.releases[0]?.version || null,
+      pending: versions(diff.pending),
+      missing: versions(diff.missing),
+      prereleases: versions(diff.prereleases),
+      remoteOnly: versions(diff.remoteOnly),
+      changed: diff.changed,
+      inSync: diff.inSync
+    }, null, 2));
+    if (outOfOrder) process.exit(1);
+    return;
+  }
+
+  logger.info(`Deployed: ${chalk.bold(diff.deployedVersion || 'none')}`);
+  logger.info(`Local:    ${chalk.bold(local.releases[0]?.version || 'none')}`);
+  console.log();
+
+  if (diff.inSync) {
+    logger.success('changelog.txt matches WooCommerce.com');
+    console.log();
+    return;
+  }
+
+  if (diff.pending.length > 0) {
+    console.log(chalk.white('  Not yet deployed:'));
+    diff.pending.forEach(r => console.log(chalk.green(`    + ${r.date} - version ${r.version} (${r.entries.length} entries)`)));
+    if (diff.pending.length > 1) {
+      console.log(chalk.yellow(`    Only ${diff.pending[0].version} will be deployed; earlier pending releases may have failed to deploy`));
+    }
+    console.log();
+  }
+
+  if (diff.missing.length > 0) {
+    console.log(chalk.white('  Never deployed, older than the deployed version:'));
+    diff.missing.forEach(r => console.log(chalk.red(`    ! ${r.date} - version ${r.version}`)));
+    console.log(chalk.yellow(`    These would be published below ${diff.deployedVersion}, out of order`));
+    console.log();
+  }
+
+  if (diff.prereleases.length > 0) {
+    console.log(chalk.gray(`  ${diff.prereleases.length} older pre-release(s) were never deployed (expected)`));
+    console.log();
+  }
+
+  if (diff.remoteOnly.length > 0) {
+    console.log(chalk.white('  Deployed but missing from changelog.txt:'));
+    diff.remoteOnly.forEach(r => console.log(chalk.red(`    - ${r.date} - version ${r.version}`)));
+    console.log();
+  }
+
+  if (diff.changed.length > 0) {
+    console.log(chalk.white('  Deployed releases that differ:'));
+    for (const change of diff.changed) {
+      console.log(chalk.cyan(`    ${change.version}`));
+      if (change.dateChanged) {
+        console.log(chalk.gray(`      date: ${change.remoteDate} (deployed) → ${change.localDate} (local)`));
+      }
+      change.remoteOnly.forEach(text => console.log(chalk.red(`      - ${text}`)));
+      change.localOnly.forEach(text => console.log(chalk.green(`      + ${text}`)));
+    }
+    console.log();
+  }
+
+  if (outOfOrder) {
+    logger.error('changelog.txt and WooCommerce.com are out of order');
+    console.log();
+    process.exit(1);
+  }
+}
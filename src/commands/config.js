@@ -0,0 +1,131 @@
+import chalk from 'chalk';
+import { access, readFile } from 'fs/promises';
+import { join, relative } from 'path';
+import { logger } from '../utils/logger.js';
+import { readConfigFile, resolveConfig, printConfigIssues } from '../utils/config-loader.js';
+
+/**
+ * Validate configuration and report every problem at once
+ *
+ * Without --file, every layer (user defaults, presets, .deployrc.json,
+ * .deployrc.local.json and ES_* variables) is checked.
+ */
+export async function configValidateCommand(options) {
+  console.log(chalk.bold.cyan('\n  Configuration Check\n'));
+
+  let issues;
+  let displayPath = '.deployrc.json';
+
+  try {
+    if (options.file) {
+      const configPath = join(process.cwd(), options.file);
+      displayPath = relative(process.cwd(), configPath) || configPath;
+      await access(configPath);
+      ({ issues } = await readConfigFile(configPath));
+    } else {
+      const resolved = await resolveConfig(process.cwd());
+      issues = resolved.issues;
+      logger.info(`Layers: ${resolved.layers.join(' → ')}`);
+      console.log();
+    }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      logger.error(`Config file not found: ${displayPath}`);
+      process.exit(1);
+    }
+    if (error.issues) {
+      issues = error.issues;
+    } else {
+      throw error;
+    }
+  }
+
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+
+  if (issues.length === 0) {
+    logger.success('Configuration is valid');
+    console.log();
+    return;
+  }
+
+  printConfigIssues(issues, displayPath);
+  console.log();
+
+  if (errors.length > 0) {
+    logger.error(`${errors.length} error(s), ${warnings.length} warning(s)`);
+    console.log();
+    process.exit(1);
+  }
+
+  logger.warn(`${warnings.length} warning(s)`);
+  console.log();
+}
+
+/**
+ * Flatten a config object into [path, value] rows for display.
+ * Nested objects are expanded; arrays are shown inline.
+ */
+function flattenConfig(object, prefix = '') {
+  const rows = [];
+
+  for (const [key, value] of Object.entries(object)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+      rows.push(...flattenConfig(value, path));
+    } else {
+      rows.push([path, value]);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Show configuration - the project file, or the fully merged result
+ */
+export async function configShowCommand(options) {
+  if (!options.resolved) {
+    try {
+      const content = await readFile(join(process.cwd(), '.deployrc.json'), 'utf-8');
+      console.log(content.trimEnd());
+    } catch (error) {
+      logger.error('No .deployrc.json found in current directory');
+      process.exit(1);
+    }
+    return;
+  }
+
+  let resolved;
+  try {
+    resolved = await resolveConfig(process.cwd());
+  } catch (error) {
+    logger.error(error.code === 'ENOENT' ? 'No .deployrc.json found in current directory' : error.message);
+    process.exit(1);
+  }
+
+  const { config, sources, layers, issues } = resolved;
+
+  if (options.json) {
+    console.log(JSON.stringify({ config, sources: Object.fromEntries(sources), layers }, null, 2));
+    return;
+  }
+
+  console.log(chalk.bold.cyan('\n  Resolved Configuration\n'));
+  console.log(chalk.gray(`  Layers: ${layers.join(' → ')}\n`));
+
+  const rows = flattenConfig(config).map(([path, value]) => [path, JSON.stringify(value), sources.get(path) || 'defaults']);
+  const keyWidth = Math.max(...rows.map(r => r[0].length));
+  const valueWidth = Math.min(50, Math.max(...rows.map(r => r[1].length)));
+
+  for (const [path, value, source] of rows) {
+    const shown = value.length > 50 ? value.slice(0, 47) + '...' : value;
+    console.log(`  ${chalk.cyan(path.padEnd(keyWidth))}  ${shown.padEnd(valueWidth)}  ${chalk.gray(source)}`);
+  }
+  console.log();
+
+  if (issues.length > 0) {
+    printConfigIssues(issues);
+    console.log();
+  }
+}
@@ -1,18 +1,21 @@
 import inquirer from 'inquirer';
 import semver from 'semver';
 import chalk from 'chalk';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { spawn } from 'child_process';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
 import { loadConfig, getCurrentVersion } from '../utils/config-loader.js';
 import { logger } from '../utils/logger.js';
 import { updateVersionInFiles } from '../tasks/version-updater.js';
 import { updateChangelog } from '../tasks/changelog-updater.js';
-import { gitCommitOnly } from '../tasks/git-manager.js';
+import { syncChangelogTargets } from '../tasks/changelog-sync.js';
+import { replaceSincePlaceholders } from '../tasks/since-replacer.js';
+import { gitCommitOnly, getChangedFiles } from '../tasks/git-manager.js';
 import { runBuild } from '../tasks/builder.js';
-import { deployToWooCommerce } from '../tasks/deployer.js';
-import { getCredentials } from '../utils/env-loader.js';
+import { deployToWooCommerce, checkDeployableVersion } from '../tasks/deployer.js';
+import { startDeployMonitor } from '../monitor/monitor-job.js';
 import { getDeployedVersion } from '../utils/deployed-version.js';
+import { DEFAULT_CHANGELOG_TYPES, parseEntryText } from '../utils/changelog.js';
+import { lintChangelog } from '../utils/changelog-lint.js';
 import {
   fetchLatestWordPressVersion,
   fetchLatestWooCommerceVersion,
@@ -22,9 +25,8 @@ import {
   majorMinor
 } from '../utils/compatibility.js';
 import { runPhpcsCheck } from './phpcs.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
+import { printLintIssues } from './changelog.js';
+import { checkReleaseZip } from './zip.js';
 
 export async function deployCommand(options) {
   console.log(chalk.bold.cyan('\n  WooCommerce Extension Deployment\n'));
@@ -34,7 +36,18 @@ export async function deployCommand(options) {
   const currentVersion = await getCurrentVersion();
   const mainFilePath = join(process.cwd(), config.mainFile);
 
+  if (options.profile) {
+    config.credentialProfile = options.profile;
+  }
+
+  if (options.allowPrerelease) {
+    config.allowPrereleaseDeploy = true;
+  }
+
   logger.info(`Plugin: ${chalk.bold(config.slug || 'Unknown')}`);
+  if (config.credentialProfile) {
+    logger.info(`Credential profile: ${chalk.bold(config.credentialProfile)}`);
+  }
   logger.info(`Local version: ${chalk.bold(currentVersion)}`);
 
   // Check deployed version on WooCommerce.com
@@ -45,7 +58,8 @@ export async function deployCommand(options) {
       deployedVersion = deployed.version;
       logger.info(`Deployed version: ${chalk.bold(deployedVersion)} (${deployed.date})`);
     } else {
-      logger.info(`Deployed version: ${chalk.gray('unknown')}`);
+      logger.warn('Could not read the deployed version from WooCommerce.com');
+      logger.warn('The new version will not be checked against it; make sure it is higher than the live one');
     }
   }
   console.log();
@@ -117,6 +131,18 @@ export async function deployCommand(options) {
     console.log();
   }
 
+  // Lint changelog.txt (unless skipped)
+  const changelogTypes = config.changelogTypes || DEFAULT_CHANGELOG_TYPES;
+  if (!options.skipChangelogLint) {
+    logger.step('Linting changelog.txt...');
+    if (!await checkChangelog(changelogTypes, { deployedVersion })) {
+      logger.info('Run "es changelog lint --fix" to fix mechanical issues');
+      logger.info('Or use --skip-changelog-lint to bypass this check');
+      process.exit(1);
+    }
+    console.log();
+  }
+
   // Get version if not provided
   let newVersion = options.version;
 
@@ -139,6 +165,10 @@ export async function deployCommand(options) {
           if (!semver.valid(input)) {
             return 'Please enter a valid semantic version (e.g., 2.3.8)';
           }
+          const versionError = options.skipDeploy ? null : checkDeployableVersion(config, input);
+          if (versionError) {
+            return versionError;
+          }
           // Must be greater than deployed version (or current if no deployed version known)
           if (deployedVersion) {
             if (semver.lte(input, deployedVersion)) {
@@ -157,17 +187,33 @@ export async function deployCommand(options) {
     newVersion = version;
   }
 
+  // Refuse pre-releases before anything is changed
+  const versionError = options.skipDeploy ? null : checkDeployableVersion(config, newVersion);
+  if (versionError) {
+    logger.error(versionError);
+    process.exit(1);
+  }
+
   // Get changelog entry (optional if deploying current version)
   const isRedeploying = newVersion === currentVersion;
   let changelogEntry;
 
+  // Entries must use an allowed "Type: Description" prefix
+  const validateEntryType = (input) => {
+    if (options.skipChangelogLint) return true;
+    const { type } = parseEntryText(input.trim());
+    return (type && changelogTypes.some(t => t.toLowerCase() === type.toLowerCase())) ||
+      `Start the entry with one of: ${changelogTypes.map(t => `${t}:`).join(' ')}`;
+  };
+
   if (isRedeploying) {
     const { entry } = await inquirer.prompt([
       {
         type: 'input',
         name: 'entry',
         message: 'Changelog entry (optional, press Enter to skip):',
-        default: ''
+        default: '',
+        validate: (input) => input.trim().length === 0 || validateEntryType(input)
       }
     ]);
     changelogEntry = entry;
@@ -177,7 +223,7 @@ export async function deployCommand(options) {
         type: 'input',
         name: 'entry',
         message: 'Changelog entry:',
-        validate: (input) => input.trim().length > 0 || 'Changelog entry is required'
+        validate: (input) => input.trim().length > 0 ? validateEntryType(input) : 'Changelog entry is required'
       }
     ]);
     changelogEntry = entry;
@@ -207,6 +253,9 @@ export async function deployCommand(options) {
   // Check if we're deploying current version (no bump)
   const isCurrentVersion = newVersion === currentVersion;
 
+  // Uncommitted changes from before the deploy, so a stopped deploy only lists its own
+  const changedBefore = dryRun ? [] : await getChangedFiles();
+
   try {
     // Step 1: Update compatibility headers (if applicable)
     if (compatibilityUpdates) {
@@ -241,6 +290,24 @@ export async function deployCommand(options) {
       }
     }
 
+    // The top changelog entry must now be the version being deployed
+    if (!options.skipChangelogLint && !dryRun) {
+      if (!await checkChangelog(changelogTypes, { version: newVersion, deployedVersion })) {
+        logger.error('changelog.txt is not ready for this release');
+        process.exit(1);
+      }
+    }
+
+    // Render changelog.txt into readme.txt / CHANGELOG.md
+    if (config.changelogTargets?.length > 0) {
+      logger.step('Syncing changelog targets...');
+      await syncChangelogTargets(config, dryRun);
+    }
+
+    // Replace @since placeholders (also when redeploying, in case new code was added)
+    logger.step('Replacing @since placeholders...');
+    await replaceSincePlaceholders(config, newVersion, dryRun);
+
     // Step 4: Build (generates POT, minified CSS, zip)
     if (!options.skipBuild) {
       logger.step('Building distribution package...');
@@ -249,6 +316,16 @@ export async function deployCommand(options) {
       logger.info('Skipping build step');
     }
 
+    // Catch dropped directories or a stray vendor folder before anything is committed
+    if (!options.skipSizeCheck && !dryRun) {
+      logger.step('Comparing zip with the previous release...');
+      if (!await checkReleaseZip(config, newVersion)) {
+        logger.info('Run "es zip diff" for details');
+        await printStoppedDeploy(newVersion, changedBefore);
+        process.exit(1);
+      }
+    }
+
     // Step 5: Git commit - always commit after build since build generates files (POT, CSS)
     // This is the "deploy candidate" commit - tag happens manually after deployment succeeds
     logger.step('Creating deploy candidate commit...');
@@ -263,7 +340,7 @@ export async function deployCommand(options) {
       if (deployResult && !dryRun) {
         // Spawn background monitor to watch for completion
         logger.step('Starting deployment monitor...');
-        spawnDeployMonitor(config, newVersion, changelogEntry);
+        await spawnDeployMonitor(config, newVersion, changelogEntry);
 
         console.log(chalk.green.bold('\n✨ Deployment initiated!\n'));
         logger.info('A background process is monitoring the deployment.');
@@ -297,36 +374,83 @@ export async function deployCommand(options) {
 }
 
 /**
- * Spawn background monitor process
+ * Lint changelog.txt, printing any issues
+ * A missing changelog.txt is not an error here; updateChangelog() warns about it.
+ * Entry rules are only enforced for releases newer than the deployed version.
+ *
+ * @param {string[]} types - Allowed entry types
+ * @param {{ version?: string, deployedVersion?: string|null }} [options]
+ * @returns {Promise<boolean>} false if there are errors
  */
-function spawnDeployMonitor(config, version, commitMessage) {
-  const credentials = getCredentials();
+async function checkChangelog(types, { version = null, deployedVersion = null } = {}) {
+  let content;
+  try {
+    content = await readFile(join(process.cwd(), 'changelog.txt'), 'utf-8');
+  } catch (error) {
+    return true;
+  }
 
-  const monitorConfig = {
+  const issues = lintChangelog(content, { types, version, deployedVersion });
+  const errors = issues.filter(i => i.severity === 'error');
+
+  if (issues.length > 0) {
+    printLintIssues(issues);
+  }
+
+  if (errors.length > 0) {
+    logger.error(`changelog.txt has ${errors.length} error(s)`);
+    return false;
+  }
+
+  logger.success(issues.length > 0 ? `changelog.txt passed with ${issues.length} warning(s)` : 'changelog.txt is valid');
+  return true;
+}
+
+/**
+ * Explain how to resume or undo a deploy stopped after the build
+ * Version numbers, changelog and headers are updated by then, but not committed.
+ *
+ * @param {string} version - Version being deployed
+ * @param {Array<{ path: string }>} changedBefore - getChangedFiles() from before the deploy changed anything
+ */
+async function printStoppedDeploy(version, changedBefore) {
+  const before = new Set(changedBefore.map(file => file.path));
+  const files = (await getChangedFiles()).filter(file => !before.has(file.path));
+
+  console.log();
+  logger.warn(`Deployment stopped. ${version} is applied to the working tree but not committed.`);
+  if (files.length > 0) {
+    logger.info('Files changed by this deploy:');
+    files.forEach(file => logger.info(`  ${file.path}${file.untracked ? ' (new)' : ''}`));
+  }
+  console.log();
+  logger.info(`To resume, fix the zip contents and run "es deploy" again with version ${version}.`);
+  logger.info('The version bump and changelog are kept, so leave the changelog entry empty.');
+  logger.info('Add --skip-size-check if the size change is expected.');
+
+  if (files.length > 0) {
+    const tracked = files.filter(file => !file.untracked).map(file => file.path);
+    const created = files.filter(file => file.untracked).map(file => file.path);
+
+    logger.info('To undo instead:');
+    if (tracked.length > 0) logger.info(`  git checkout -- ${tracked.join(' ')}`);
+    if (created.length > 0) logger.info(`  rm -r ${created.join(' ')}`);
+  }
+}
+
+/**
+ * Spawn background monitor process
+ */
+async function spawnDeployMonitor(config, version, commitMessage) {
+  const child = await startDeployMonitor({
     productId: config.productId,
     version,
     slug: config.slug,
-    credentials: {
-      username: credentials.username,
-      password: credentials.password,
-      apiUrl: credentials.apiUrl
-    },
     workingDir: process.cwd(),
-    commitMessage
-  };
-
-  const configBase64 = Buffer.from(JSON.stringify(monitorConfig)).toString('base64');
-  const monitorPath = join(__dirname, '../monitor/deploy-monitor.js');
-
-  // Spawn detached process
-  const child = spawn('node', [monitorPath, configBase64], {
-    detached: true,
-    stdio: 'ignore',
-    cwd: process.cwd()
+    commitMessage,
+    credentialProfile: config.credentialProfile || null,
+    credentialCommand: config.credentialCommand || null
   });
 
-  // Unref to allow parent to exit
-  child.unref();
-
   logger.success(`Monitor started (PID: ${child.pid})`);
 }
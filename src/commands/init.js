@@ -67,6 +67,12 @@ export async function initCommand(options) {
       message: 'Enable CSS minification?',
       default: true
     },
+    {
+      type: 'confirm',
+      name: 'minifyJs',
+      message: 'Enable JS minification?',
+      default: false
+    },
     {
       type: 'confirm',
       name: 'generatePot',
@@ -108,6 +114,7 @@ export async function initCommand(options) {
     mainFile: answers.mainFile,
     versionFiles,
     minifyCss: answers.minifyCss,
+    minifyJs: answers.minifyJs,
     generatePot: answers.generatePot,
     distPath: './dist'
   };
@@ -120,6 +127,9 @@ export async function initCommand(options) {
   // Write config file
   await writeFile(configPath, JSON.stringify(config, null, 2) + '\n', 'utf-8');
 
+  // Keep per-machine overrides out of version control
+  await ignoreLocalConfig(cwd);
+
   console.log();
   logger.success('Created .deployrc.json');
   console.log();
@@ -129,6 +139,7 @@ export async function initCommand(options) {
   console.log(chalk.cyan(`  Slug:         ${config.slug}`));
   console.log(chalk.cyan(`  Main file:    ${config.mainFile}`));
   console.log(chalk.cyan(`  CSS minify:   ${config.minifyCss ? 'enabled' : 'disabled'}`));
+  console.log(chalk.cyan(`  JS minify:    ${config.minifyJs ? 'enabled' : 'disabled'}`));
   console.log(chalk.cyan(`  POT generate: ${config.generatePot ? 'enabled' : 'disabled'}`));
   console.log();
   console.log(chalk.green('  Ready to use! Run:'));
@@ -137,6 +148,26 @@ export async function initCommand(options) {
   console.log();
 }
 
+/**
+ * Add .deployrc.local.json to an existing .gitignore
+ */
+async function ignoreLocalConfig(cwd) {
+  const gitignorePath = join(cwd, '.gitignore');
+
+  try {
+    const content = await readFile(gitignorePath, 'utf-8');
+    if (content.split('\n').some(line => line.trim() === '.deployrc.local.json')) {
+      return;
+    }
+
+    const separator = content.endsWith('\n') || content === '' ? '' : '\n';
+    await writeFile(gitignorePath, `${content}${separator}.deployrc.local.json\n`, 'utf-8');
+    logger.info('Added .deployrc.local.json to .gitignore');
+  } catch (error) {
+    // No .gitignore
+  }
+}
+
 /**
  * Try to detect plugin info from existing files
  */
@@ -2,36 +2,17 @@ import chalk from 'chalk';
 import { spawn } from 'child_process';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { writeFileSync } from 'fs';
 import { homedir } from 'os';
 import semver from 'semver';
 import { loadConfig, getCurrentVersion } from '../utils/config-loader.js';
 import { logger } from '../utils/logger.js';
-import { getCredentials } from '../utils/env-loader.js';
+import { startDeployMonitor } from '../monitor/monitor-job.js';
+import { loadExtensionsConfig, normalizeExtensionEntry, DEFAULT_EXTENSIONS_CONFIG_PATH } from '../utils/extensions-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Default extensions config location
-const DEFAULT_CONFIG_PATH = join(homedir(), '.es-extensions.json');
-
-/**
- * Load extensions configuration
- */
-function loadExtensionsConfig(configPath) {
-  if (!existsSync(configPath)) {
-    return null;
-  }
-
-  try {
-    const content = readFileSync(configPath, 'utf8');
-    return JSON.parse(content);
-  } catch (error) {
-    logger.error(`Failed to parse extensions config: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Start monitor for a single extension
  */
@@ -45,43 +26,32 @@ async function startSingleMonitor(extensionPath, options = {}) {
 
     const config = await loadConfig();
     const version = await getCurrentVersion();
-    const credentials = getCredentials();
 
-    const monitorConfig = {
+    if (options.credentialProfile) {
+      config.credentialProfile = options.credentialProfile;
+    }
+
+    const job = {
       productId: config.productId,
       version,
       slug: config.slug,
-      credentials: {
-        username: credentials.username,
-        password: credentials.password,
-        apiUrl: credentials.apiUrl
-      },
       workingDir: process.cwd(),
       commitMessage: options.commitMessage || `Deploy version ${version}`,
+      credentialProfile: config.credentialProfile || null,
+      credentialCommand: config.credentialCommand || null,
       statusFile: options.statusFile || null,
       isBatchDeploy: options.isBatchDeploy || false,
       batchIndex: options.batchIndex || 0,
       batchTotal: options.batchTotal || 1
     };
 
-    const configBase64 = Buffer.from(JSON.stringify(monitorConfig)).toString('base64');
-    const monitorPath = join(__dirname, '../monitor/deploy-monitor.js');
-
     if (options.background) {
       // Detached background mode
-      const child = spawn('node', [monitorPath, configBase64], {
-        detached: true,
-        stdio: 'ignore',
-        cwd: process.cwd()
-      });
-      child.unref();
+      const child = await startDeployMonitor(job);
       return { pid: child.pid, slug: config.slug, version };
     } else {
       // Foreground mode - inherit stdio
-      const child = spawn('node', [monitorPath, configBase64], {
-        stdio: 'inherit',
-        cwd: process.cwd()
-      });
+      const child = await startDeployMonitor(job, { background: false });
 
       return new Promise((resolve, reject) => {
         child.on('exit', (code) => {
@@ -104,11 +74,11 @@ export async function monitorCommand(paths, options) {
   console.log(chalk.bold.cyan('\n  Deployment Monitor\n'));
 
   // Determine if we're monitoring multiple extensions or just one
-  let extensionPaths = [];
+  let extensions = [];
 
   if (options.all) {
     // Load all extensions from config
-    const configPath = options.config || DEFAULT_CONFIG_PATH;
+    const configPath = options.config || DEFAULT_EXTENSIONS_CONFIG_PATH;
     const config = loadExtensionsConfig(configPath);
 
     if (!config || !config.extensions || config.extensions.length === 0) {
@@ -117,22 +87,29 @@ export async function monitorCommand(paths, options) {
       process.exit(1);
     }
 
-    extensionPaths = config.extensions;
+    extensions = config.extensions;
   } else if (paths && paths.length > 0) {
-    extensionPaths = paths;
+    extensions = paths.map(normalizeExtensionEntry);
   } else {
     // Single extension - current directory
-    extensionPaths = [process.cwd()];
+    extensions = [normalizeExtensionEntry(process.cwd())];
+  }
+
+  if (options.profile) {
+    extensions = extensions.map(e => ({ ...e, credentialProfile: options.profile }));
   }
 
-  if (extensionPaths.length === 1 && !options.all) {
+  const extensionPaths = extensions.map(e => e.path);
+
+  if (extensions.length === 1 && !options.all) {
     // Single extension mode - foreground monitor
     logger.info('Starting deployment monitor...');
     console.log();
 
     try {
-      const result = await startSingleMonitor(extensionPaths[0], {
-        background: false
+      const result = await startSingleMonitor(extensions[0].path, {
+        background: false,
+        credentialProfile: extensions[0].credentialProfile
       });
 
       // Monitor exited
@@ -183,12 +160,13 @@ export async function monitorCommand(paths, options) {
     writeFileSync(statusFile, JSON.stringify(initialStatus, null, 2));
 
     // Start monitors for each extension in background
-    for (let i = 0; i < extensionPaths.length; i++) {
-      const extPath = extensionPaths[i];
+    for (let i = 0; i < extensions.length; i++) {
+      const extPath = extensions[i].path;
 
       try {
         const result = await startSingleMonitor(extPath, {
           background: true,
+          credentialProfile: extensions[i].credentialProfile,
           statusFile,
           isBatchDeploy: true,
           batchIndex: i,
@@ -6,6 +6,7 @@ import semver from 'semver';
 import { loadConfig, getCurrentVersion } from '../utils/config-loader.js';
 import { logger } from '../utils/logger.js';
 import { runBuild } from '../tasks/builder.js';
+import { fetchRemoteChangelog, parseRemoteChangelog } from '../utils/deployed-version.js';
 
 const AVAILABLE_TESTS = ['security', 'activation', 'api', 'e2e', 'phpstan', 'phpcompatibility'];
 
@@ -30,30 +31,14 @@ export async function qitVersionCommand(options) {
   try {
     logger.step('Fetching changelog from WooCommerce.com...');
 
-    const url = `https://woocommerce.com/wp-json/wccom/changelog/1.0/product/${productId}`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      logger.error(`API returned ${response.status}: ${response.statusText}`);
-      process.exit(1);
-    }
-
-    const changelog = await response.text();
+    const changelog = await fetchRemoteChangelog(productId);
 
     if (options.raw) {
       console.log(changelog);
       return;
     }
 
-    // Parse version entries from changelog text
-    // Format: YYYY.MM.DD - version X.Y.Z
-    const versionPattern = /(\d{4}\.\d{2}\.\d{2})\s*-\s*version\s+(\d+\.\d+\.\d+)/gi;
-    const versions = [];
-    let match;
-
-    while ((match = versionPattern.exec(changelog)) !== null) {
-      versions.push({ date: match[1], version: match[2] });
-    }
+    const versions = parseRemoteChangelog(changelog).releases;
 
     if (versions.length === 0) {
       logger.warn('No version entries found in changelog');
@@ -80,8 +65,9 @@ export async function qitVersionCommand(options) {
     // Show recent changelog entries
     if (options.verbose && versions.length > 1) {
       console.log(chalk.white('\n  Recent versions:'));
-      versions.slice(0, 5).forEach(entry => {
-        console.log(chalk.gray(`    ${entry.date} - version ${entry.version}`));
+      versions.slice(0, 5).forEach(release => {
+        console.log(chalk.gray(`    ${release.date} - version ${release.version}`));
+        release.entries.forEach(entry => console.log(chalk.gray(`        * ${entry.text}`)));
       });
     }
 
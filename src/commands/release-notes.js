@@ -0,0 +1,124 @@
+import chalk from 'chalk';
+import semver from 'semver';
+import { readFile, writeFile } from 'fs/promises';
+import { join, basename } from 'path';
+import { resolveConfig } from '../utils/config-loader.js';
+import { loadExtensionsConfig, DEFAULT_EXTENSIONS_CONFIG_PATH } from '../utils/extensions-config.js';
+import { logger } from '../utils/logger.js';
+import { parseChangelog } from '../utils/changelog.js';
+import {
+  RELEASE_NOTE_FORMATS,
+  selectReleases,
+  buildReleaseNotes,
+  renderReleaseNotes
+} from '../utils/release-notes.js';
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Warn on stderr, keeping stdout clean for the rendered notes
+ */
+function warn(message) {
+  console.error(chalk.yellow('⚠'), message);
+}
+
+/**
+ * Read the Plugin Name header of an extension, falling back to its directory name
+ */
+async function getExtensionName(extensionPath) {
+  try {
+    const { config } = await resolveConfig(extensionPath);
+    const content = await readFile(join(extensionPath, config.mainFile), 'utf-8');
+    const match = content.match(/\*\s*Plugin Name:\s*([^\n]+)/i);
+    if (match) return match[1].trim();
+  } catch (error) {
+    // No .deployrc.json or main file; use the directory name
+  }
+  return basename(extensionPath);
+}
+
+/**
+ * Build release notes for the extension at a path
+ * @returns {Promise<object|null>} Null if the extension has no changelog or no matching releases
+ */
+async function collectReleaseNotes(extensionPath, range) {
+  let changelog;
+  try {
+    changelog = parseChangelog(await readFile(join(extensionPath, 'changelog.txt'), 'utf-8'));
+  } catch (error) {
+    warn(`No changelog.txt in ${extensionPath}`);
+    return null;
+  }
+
+  const releases = selectReleases(changelog, range);
+  if (releases.length === 0) {
+    return null;
+  }
+
+  return buildReleaseNotes(await getExtensionName(extensionPath), releases);
+}
+
+/**
+ * Render release notes from changelog.txt for a version or date range
+ */
+export async function releaseNotesCommand(from, to, options) {
+  const format = options.format || 'md';
+  const range = { from, to, since: options.since, until: options.until };
+
+  if (!RELEASE_NOTE_FORMATS.includes(format)) {
+    logger.error(`Unknown format "${format}" (expected one of: ${RELEASE_NOTE_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  for (const version of [from, to].filter(Boolean)) {
+    if (!semver.valid(version)) {
+      logger.error(`"${version}" is not a valid version`);
+      process.exit(1);
+    }
+  }
+
+  for (const date of [options.since, options.until].filter(Boolean)) {
+    if (!DATE.test(date)) {
+      logger.error(`"${date}" is not a date (expected YYYY-MM-DD)`);
+      process.exit(1);
+    }
+  }
+
+  let paths = [process.cwd()];
+
+  if (options.all) {
+    const configPath = options.config || DEFAULT_EXTENSIONS_CONFIG_PATH;
+    const config = loadExtensionsConfig(configPath);
+    if (!config || config.extensions.length === 0) {
+      logger.error(`No extensions configured in ${configPath}`);
+      process.exit(1);
+    }
+    paths = config.extensions.map(e => e.path);
+  }
+
+  const notesList = [];
+  for (const path of paths) {
+    const notes = await collectReleaseNotes(path, range);
+    if (notes) {
+      notesList.push(notes);
+    } else if (!options.all) {
+      logger.error('No matching releases in changelog.txt');
+      process.exit(1);
+    }
+  }
+
+  if (notesList.length === 0) {
+    logger.error('No matching releases in any extension');
+    process.exit(1);
+  }
+
+  const output = renderReleaseNotes(notesList, format);
+
+  if (options.output) {
+    await writeFile(options.output, output, 'utf-8');
+    logger.success(`Release notes written to ${options.output}`);
+    return;
+  }
+
+  process.stdout.write(output);
+}
@@ -3,11 +3,15 @@ import { loadConfig } from '../utils/config-loader.js';
 import { logger } from '../utils/logger.js';
 import { checkDeploymentStatus } from '../tasks/deployer.js';
 
-export async function statusCommand() {
+export async function statusCommand(options = {}) {
   console.log(chalk.bold.cyan('\n📊 Deployment Status\n'));
 
   const config = await loadConfig();
 
+  if (options.profile) {
+    config.credentialProfile = options.profile;
+  }
+
   try {
     await checkDeploymentStatus(config);
   } catch (error) {
@@ -17,6 +17,7 @@ import { updateChangelog } from '../tasks/changelog-updater.js';
 import { runBuild } from '../tasks/builder.js';
 import { deployToWooCommerce } from '../tasks/deployer.js';
 import { runPhpcsCheck } from './phpcs.js';
+import { checkReleaseZip } from './zip.js';
 
 /**
  * Sync command - quick compatibility update
@@ -166,6 +167,17 @@ export async function syncCommand(options) {
 
   console.log();
 
+  // Catch dropped directories or a stray vendor folder before anything ships
+  if (!options.skipSizeCheck) {
+    logger.step('Comparing zip with the previous release...');
+    if (!await checkReleaseZip(config, newVersion)) {
+      logger.info('Run "es zip diff" for details, or retry with --skip-size-check if the change is expected');
+      logger.info('Revert changes with: git checkout -- .');
+      process.exit(1);
+    }
+    console.log();
+  }
+
   // Step 10: Deploy to WooCommerce.com
   logger.step('Deploying to WooCommerce.com...');
   try {
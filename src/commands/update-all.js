@@ -6,9 +6,10 @@ import { fileURLToPath } from 'url';
 import { existsSync, readFileSync, writeFileSync } from 'fs';
 import { homedir } from 'os';
 import { execa } from 'execa';
-import { loadConfig, getCurrentVersion } from '../utils/config-loader.js';
+import { resolveConfig } from '../utils/config-loader.js';
+import { loadExtensionsConfig, normalizeExtensionEntry, DEFAULT_EXTENSIONS_CONFIG_PATH } from '../utils/extensions-config.js';
 import { logger } from '../utils/logger.js';
-import { getCredentials } from '../utils/env-loader.js';
+import { startDeployMonitor } from '../monitor/monitor-job.js';
 import {
   fetchLatestWordPressVersion,
   fetchLatestWooCommerceVersion,
@@ -22,13 +23,11 @@ import { updateChangelog } from '../tasks/changelog-updater.js';
 import { runBuild } from '../tasks/builder.js';
 import { deployToWooCommerce } from '../tasks/deployer.js';
 import { runPhpcsCheck } from './phpcs.js';
+import { checkReleaseZip } from './zip.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Default extensions config location
-const DEFAULT_CONFIG_PATH = join(homedir(), '.es-extensions.json');
-
 /**
  * Check if git repository is clean
  */
@@ -41,27 +40,11 @@ async function isRepoClean(cwd) {
   }
 }
 
-/**
- * Load extensions configuration
- */
-function loadExtensionsConfig(configPath) {
-  if (!existsSync(configPath)) {
-    return null;
-  }
-
-  try {
-    const content = readFileSync(configPath, 'utf8');
-    return JSON.parse(content);
-  } catch (error) {
-    logger.error(`Failed to parse extensions config: ${error.message}`);
-    return null;
-  }
-}
-
 /**
  * Analyze an extension for update eligibility
  */
-async function analyzeExtension(extensionPath, latestWP, latestWC) {
+async function analyzeExtension(extension, latestWP, latestWC) {
+  const extensionPath = extension.path;
   const result = {
     path: extensionPath,
     eligible: false,
@@ -86,7 +69,17 @@ async function analyzeExtension(extensionPath, latestWP, latestWC) {
   }
 
   try {
-    result.config = JSON.parse(readFileSync(configPath, 'utf8'));
+    const resolved = await resolveConfig(extensionPath);
+    if (resolved.issues.some(i => i.severity === 'error')) {
+      result.reason = 'Invalid .deployrc.json (run "es config validate")';
+      return result;
+    }
+    result.config = resolved.config;
+
+    // A profile named in ~/.es-extensions.json wins over the project's own
+    if (extension.credentialProfile) {
+      result.config.credentialProfile = extension.credentialProfile;
+    }
   } catch (error) {
     result.reason = 'Invalid .deployrc.json';
     return result;
@@ -124,7 +117,7 @@ async function analyzeExtension(extensionPath, latestWP, latestWC) {
 /**
  * Run sync for a single extension (returns immediately, monitor handles completion)
  */
-async function runExtensionSync(extensionPath, config, latestWP, latestWC, statusFile, batchIndex, batchTotal) {
+async function runExtensionSync(extensionPath, config, latestWP, latestWC, statusFile, batchIndex, batchTotal, skipSizeCheck = false) {
   const mainFilePath = join(extensionPath, config.mainFile);
   const current = await parsePluginCompatibility(mainFilePath);
   const currentVersion = current.version;
@@ -162,6 +155,11 @@ async function runExtensionSync(extensionPath, config, latestWP, latestWC, statu
     // Build
     await runBuild(config, false);
 
+    // Stop before committing a package that changed more than zipSizeThreshold
+    if (!skipSizeCheck && !await checkReleaseZip(config, newVersion)) {
+      throw new Error('Zip size changed more than zipSizeThreshold; files are updated but not committed (run "es zip diff" there for details)');
+    }
+
     // Commit (no tag - monitor will handle that)
     await execa('git', ['add', '-A'], { cwd: extensionPath });
 
@@ -176,36 +174,20 @@ async function runExtensionSync(extensionPath, config, latestWP, latestWC, statu
     await deployToWooCommerce(config, newVersion, false);
 
     // Spawn monitor with batch mode
-    const credentials = getCredentials();
-
-    const monitorConfig = {
+    const child = await startDeployMonitor({
       productId: config.productId,
       version: newVersion,
       slug: config.slug,
-      credentials: {
-        username: credentials.username,
-        password: credentials.password,
-        apiUrl: credentials.apiUrl
-      },
       workingDir: extensionPath,
       commitMessage,
+      credentialProfile: config.credentialProfile || null,
+      credentialCommand: config.credentialCommand || null,
       statusFile,
       isBatchDeploy: true,
       batchIndex,
       batchTotal
-    };
-
-    const configBase64 = Buffer.from(JSON.stringify(monitorConfig)).toString('base64');
-    const monitorPath = join(__dirname, '../monitor/deploy-monitor.js');
-
-    const child = spawn('node', [monitorPath, configBase64], {
-      detached: true,
-      stdio: 'ignore',
-      cwd: extensionPath
     });
 
-    child.unref();
-
     return { success: true, version: newVersion, pid: child.pid };
   } finally {
     process.chdir(originalCwd);
@@ -219,12 +201,12 @@ export async function updateAllCommand(options) {
   console.log(chalk.bold.cyan('\n  Multi-Extension Compatibility Update\n'));
 
   // Load extensions config
-  const configPath = options.config || DEFAULT_CONFIG_PATH;
-  let extensionPaths = [];
+  const configPath = options.config || DEFAULT_EXTENSIONS_CONFIG_PATH;
+  let extensions = [];
 
   if (options.paths && options.paths.length > 0) {
     // Use paths from command line
-    extensionPaths = options.paths;
+    extensions = options.paths.map(normalizeExtensionEntry);
   } else {
     // Load from config file
     const config = loadExtensionsConfig(configPath);
@@ -235,17 +217,21 @@ export async function updateAllCommand(options) {
       console.log(chalk.gray(`  {`));
       console.log(chalk.gray(`    "extensions": [`));
       console.log(chalk.gray(`      "/path/to/extension1",`));
-      console.log(chalk.gray(`      "/path/to/extension2"`));
+      console.log(chalk.gray(`      { "path": "/path/to/extension2", "credentialProfile": "agency" }`));
       console.log(chalk.gray(`    ]`));
       console.log(chalk.gray(`  }`));
       console.log();
       logger.info('Or pass paths directly: es update-all /path/to/ext1 /path/to/ext2');
       process.exit(1);
     }
-    extensionPaths = config.extensions;
+    extensions = config.extensions;
+  }
+
+  if (options.profile) {
+    extensions = extensions.map(e => ({ ...e, credentialProfile: options.profile }));
   }
 
-  logger.info(`Found ${extensionPaths.length} extensions to check`);
+  logger.info(`Found ${extensions.length} extensions to check`);
   console.log();
 
   // Fetch latest versions
@@ -269,16 +255,17 @@ export async function updateAllCommand(options) {
   logger.step('Analyzing extensions...');
   const analyses = [];
 
-  for (const extPath of extensionPaths) {
-    const analysis = await analyzeExtension(extPath, latestWP, latestWC);
+  for (const extension of extensions) {
+    const analysis = await analyzeExtension(extension, latestWP, latestWC);
     analyses.push(analysis);
 
-    const name = analysis.config?.slug || extPath.split('/').pop();
+    const name = analysis.config?.slug || extension.path.split('/').pop();
     if (analysis.eligible) {
       const updates = [];
       if (analysis.wpNeedsUpdate) updates.push('WP');
       if (analysis.wcNeedsUpdate) updates.push('WC');
-      console.log(chalk.green(`  ✓ ${name}`) + chalk.gray(` (needs ${updates.join(', ')} update)`));
+      const profile = analysis.config.credentialProfile ? `, profile: ${analysis.config.credentialProfile}` : '';
+      console.log(chalk.green(`  ✓ ${name}`) + chalk.gray(` (needs ${updates.join(', ')} update${profile})`));
     } else {
       console.log(chalk.gray(`  ✗ ${name}: ${analysis.reason}`));
     }
@@ -362,7 +349,8 @@ export async function updateAllCommand(options) {
         latestWC,
         statusFile,
         i,
-        eligible.length
+        eligible.length,
+        options.skipSizeCheck
       );
       console.log(chalk.green(`    ✓ Deployed v${result.version}, monitor PID: ${result.pid}`));
     } catch (error) {
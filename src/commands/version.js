@@ -5,8 +5,13 @@ import { loadConfig, getCurrentVersion } from '../utils/config-loader.js';
 import { logger } from '../utils/logger.js';
 import { updateVersionInFiles } from '../tasks/version-updater.js';
 import { updateChangelog } from '../tasks/changelog-updater.js';
+import { syncChangelogTargets } from '../tasks/changelog-sync.js';
+import { replaceSincePlaceholders } from '../tasks/since-replacer.js';
 import { checkVersionConsistency } from '../utils/version-checker.js';
-import { getDeployedVersion, getLatestGitTag, hasUncommittedVersionChanges, isGitRepo, commitAndTagVersion } from '../utils/deployed-version.js';
+import { getDeployedVersion, getLatestGitTag, getLatestVersionTag, getCommitsSince, hasUncommittedVersionChanges, isGitRepo, commitAndTagVersion } from '../utils/deployed-version.js';
+import { analyzeCommits } from '../utils/conventional-commits.js';
+import { DEFAULT_CHANGELOG_TYPES } from '../utils/changelog.js';
+import { RELEASE_TYPES, incrementVersion, isPrerelease } from '../utils/version-pattern.js';
 
 const DEFAULT_CHANGELOG_ENTRY = 'Update: WP and WC compatibility';
 
@@ -25,13 +30,35 @@ export async function versionCommand(newVersion, options) {
   // Sanity checks before bumping
   await performSanityChecks(config, currentVersion, options);
 
+  // Infer the release type and changelog entries from conventional commits
+  let suggestedEntries = [];
+  if (options.auto) {
+    if (newVersion) {
+      logger.error('--auto infers the version; do not pass one as well');
+      process.exit(1);
+    }
+
+    const inferred = await inferFromCommits();
+    newVersion = inferred.releaseType;
+    suggestedEntries = inferred.entries;
+  }
+
+  // Resolve release types (patch, prerelease, ...) and --preid to a version
+  newVersion = resolveNewVersion(currentVersion, newVersion, options.preid);
+
   // If no version provided, prompt with default
   if (!newVersion) {
     const nextPatch = semver.inc(currentVersion, 'patch');
     const nextMinor = semver.inc(currentVersion, 'minor');
     const nextMajor = semver.inc(currentVersion, 'major');
 
-    console.log(chalk.gray(`  Suggestions: ${nextPatch} (patch), ${nextMinor} (minor), ${nextMajor} (major)\n`));
+    const suggestions = [`${nextPatch} (patch)`, `${nextMinor} (minor)`, `${nextMajor} (major)`];
+    const nextPrerelease = isPrerelease(currentVersion) && incrementVersion(currentVersion, 'prerelease');
+    if (nextPrerelease) {
+      suggestions.unshift(`${nextPrerelease} (prerelease)`);
+    }
+
+    console.log(chalk.gray(`  Suggestions: ${suggestions.join(', ')}\n`));
 
     const { inputVersion } = await inquirer.prompt([
       {
@@ -41,7 +68,7 @@ export async function versionCommand(newVersion, options) {
         default: nextPatch,
         validate: (input) => {
           if (!semver.valid(input)) {
-            return 'Please enter a valid semantic version (e.g., 2.3.8)';
+            return 'Please enter a valid semantic version (e.g., 2.3.8 or 2.4.0-beta.1)';
           }
           if (semver.lte(input, currentVersion)) {
             return `Version must be greater than current version (${currentVersion})`;
@@ -56,7 +83,7 @@ export async function versionCommand(newVersion, options) {
 
   // Validate version
   if (!semver.valid(newVersion)) {
-    logger.error('Invalid version number. Please use semantic versioning (e.g., 2.3.8)');
+    logger.error(`Invalid version number. Use semantic versioning (e.g., 2.3.8 or 2.4.0-beta.1) or one of: ${RELEASE_TYPES.join(', ')}`);
     process.exit(1);
   }
 
@@ -68,12 +95,34 @@ export async function versionCommand(newVersion, options) {
   // Get changelog entries from --message option or prompt
   let changelogEntries = options.message || [];
 
+  if (changelogEntries.length === 0 && suggestedEntries.length > 0) {
+    console.log(chalk.gray('  Changelog entries from commits:'));
+    suggestedEntries.forEach(entry => console.log(chalk.gray(`    * ${entry}`)));
+    console.log();
+
+    let useSuggested = options.force;
+    if (!useSuggested) {
+      ({ useSuggested } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'useSuggested',
+          message: 'Use these changelog entries?',
+          default: true
+        }
+      ]));
+    }
+
+    if (useSuggested) {
+      changelogEntries = [...suggestedEntries];
+    }
+  }
+
   if (changelogEntries.length === 0) {
     // Prompt for changelog entries with default
     console.log();
     console.log(chalk.gray('  Enter changelog entries (one per line)'));
     console.log(chalk.gray('  Format: "Type: Description" (e.g., "Fix: Correct issue with...")\n'));
-    console.log(chalk.gray('  Types: Fix, Update, New, Security, Added, Remove\n'));
+    console.log(chalk.gray(`  Types: ${(config.changelogTypes || DEFAULT_CHANGELOG_TYPES).join(', ')}\n`));
 
     let addingEntries = true;
     let isFirstEntry = true;
@@ -105,6 +154,9 @@ export async function versionCommand(newVersion, options) {
   console.log();
   logger.info(`Current version: ${chalk.bold(currentVersion)}`);
   logger.info(`New version: ${chalk.bold.green(newVersion)}`);
+  if (isPrerelease(newVersion)) {
+    logger.warn('This is a pre-release. Deploying it to WooCommerce.com requires --allow-prerelease.');
+  }
   console.log();
   logger.info('Changelog entries:');
   changelogEntries.forEach(entry => {
@@ -128,10 +180,19 @@ export async function versionCommand(newVersion, options) {
       process.exit(1);
     }
 
+    // Replace @since placeholders
+    logger.step('Replacing @since placeholders...');
+    await replaceSincePlaceholders(config, newVersion, dryRun);
+
     // Update changelog
     logger.step('Updating changelog...');
     await updateChangelog(newVersion, changelogEntries, dryRun);
 
+    if (config.changelogTargets?.length > 0) {
+      logger.step('Syncing changelog targets...');
+      await syncChangelogTargets(config, dryRun);
+    }
+
     console.log(chalk.green('\n  Version updated successfully!\n'));
 
     if (!dryRun) {
@@ -147,6 +208,84 @@ export async function versionCommand(newVersion, options) {
   }
 }
 
+/**
+ * Read commits since the last version tag and infer the release
+ * feat -> minor, fix/security/perf -> patch, "!" or BREAKING CHANGE -> major.
+ *
+ * @returns {Promise<{ releaseType: string, entries: string[] }>}
+ */
+async function inferFromCommits() {
+  if (!await isGitRepo()) {
+    logger.error('--auto needs a git repository');
+    process.exit(1);
+  }
+
+  const latest = await getLatestVersionTag();
+  const commits = await getCommitsSince(latest ? latest.tag : null);
+
+  if (commits.length === 0 && !latest) {
+    logger.error('No commits to infer from. Specify the version instead.');
+    process.exit(1);
+  }
+
+  const analysis = analyzeCommits(commits);
+
+  const since = latest ? `since ${latest.tag}` : 'in history (no version tag found)';
+  logger.info(`${commits.length} commit(s) ${since}, ${analysis.parsed.length} with a changelog type`);
+
+  if (!analysis.releaseType) {
+    logger.error('No feat:, fix:, perf: or security: commits found. Specify the version instead.');
+    process.exit(1);
+  }
+
+  logger.info(`Inferred release: ${chalk.bold(analysis.releaseType)}`);
+  console.log();
+
+  return { releaseType: analysis.releaseType, entries: analysis.entries };
+}
+
+/**
+ * Turn a release type into a concrete version
+ *
+ *   es version patch             2.3.11 -> 2.3.12
+ *   es version prerelease        2.4.0-beta.1 -> 2.4.0-beta.2
+ *   es version --preid beta      2.3.11 -> 2.3.12-beta.1
+ *   es version minor --preid rc  2.3.11 -> 2.4.0-rc.1
+ *
+ * Explicit versions are returned unchanged.
+ */
+function resolveNewVersion(currentVersion, newVersion, preid) {
+  if (!newVersion && !preid) {
+    return newVersion;
+  }
+
+  let releaseType = newVersion || 'prerelease';
+  if (!RELEASE_TYPES.includes(releaseType)) {
+    if (preid) {
+      logger.error('--preid can only be combined with a release type (e.g., es version minor --preid beta)');
+      process.exit(1);
+    }
+    return newVersion;
+  }
+
+  // A pre-release identifier turns "minor" into "preminor" and so on
+  if (preid && !releaseType.startsWith('pre')) {
+    releaseType = `pre${releaseType}`;
+  }
+
+  const version = incrementVersion(currentVersion, releaseType, preid);
+  if (!version && releaseType.startsWith('pre') && !preid) {
+    logger.error(`${currentVersion} has no pre-release identifier to continue; pass one with --preid (e.g., es version ${releaseType} --preid beta)`);
+    process.exit(1);
+  }
+  if (!version) {
+    logger.error(`Cannot apply "${releaseType}" to version ${currentVersion}`);
+    process.exit(1);
+  }
+
+  return version;
+}
+
 /**
  * Perform sanity checks before version bump
  */
@@ -0,0 +1,244 @@
+import chalk from 'chalk';
+import chokidar from 'chokidar';
+import { basename, relative } from 'path';
+import { loadConfig } from '../utils/config-loader.js';
+import { logger } from '../utils/logger.js';
+import { compileScssFiles } from '../tasks/scss-compiler.js';
+import { minifyCssFiles } from '../tasks/css-minifier.js';
+import { minifyJsFiles } from '../tasks/js-minifier.js';
+import { generatePotFile } from '../tasks/pot-generator.js';
+import { buildDistributionZip } from '../tasks/zip-builder.js';
+
+const DEBOUNCE_MS = 200;
+
+// Events for files a task just wrote (compiled CSS) are ignored for this long
+const SELF_WRITE_MS = 1000;
+
+// Directories that never hold sources
+const IGNORED_DIRS = ['node_modules', 'vendor'];
+
+// Files the build writes; changes to them never trigger a rebuild
+const BUILD_OUTPUT = /\.(min\.(css|js)|map|pot)$/;
+
+/**
+ * Tasks in the order they run; a batch of changes runs each affected task once
+ * summarize() turns a task result into a short status for the change summary
+ */
+const TASKS = [
+  {
+    name: 'scss',
+    enabled: config => config.compileScss !== false,
+    run: config => compileScssFiles(config),
+    summarize: result => fileCount(result, 'compiled')
+  },
+  {
+    name: 'css',
+    enabled: config => config.minifyCss !== false,
+    run: config => minifyCssFiles(config),
+    summarize: result => fileCount(result, 'minified')
+  },
+  {
+    name: 'js',
+    enabled: config => config.minifyJs === true,
+    run: config => minifyJsFiles(config),
+    summarize: result => fileCount(result, 'minified')
+  },
+  {
+    name: 'pot',
+    enabled: config => config.generatePot !== false,
+    run: config => generatePotFile(config),
+    summarize: result => (result ? { ok: true, text: 'updated' } : { ok: false, text: 'failed' })
+  },
+  {
+    name: 'zip',
+    enabled: () => true,
+    run: config => buildDistributionZip(config, null),
+    summarize: result => ({ ok: true, text: basename(result.zipPath) })
+  }
+];
+
+/**
+ * "2/3 minified" style status for the minify and compile tasks
+ */
+function fileCount(result, verb) {
+  const results = result.results || [];
+  const ok = results.filter(r => r.success).length;
+  return { ok: ok === results.length, text: `${ok}/${results.length} ${verb}` };
+}
+
+/**
+ * Normalize a configured directory ("./assets/css/") to "assets/css"
+ */
+function normalizeDir(dir) {
+  return dir.replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Tasks affected by a change to a file (path relative to the project root)
+ */
+function tasksForFile(file, dirs) {
+  const inDir = dir => file.startsWith(`${dir}/`);
+
+  if (file.endsWith('.scss') && inDir(dirs.scss)) {
+    return ['scss', 'css'];
+  }
+  if (file.endsWith('.css') && inDir(dirs.css)) {
+    return ['css'];
+  }
+  if (file.endsWith('.js') && inDir(dirs.js)) {
+    return ['js'];
+  }
+  if (file.endsWith('.php')) {
+    return ['pot'];
+  }
+  return [];
+}
+
+/**
+ * Time of day for the change summary
+ */
+function timestamp() {
+  return new Date().toTimeString().slice(0, 8);
+}
+
+/**
+ * Describe the changed files: "style.scss" or "style.scss +2 more"
+ */
+function describeFiles(files) {
+  const [first, ...rest] = files;
+  return rest.length > 0 ? `${first} +${rest.length} more` : first;
+}
+
+/**
+ * Watch sources and re-run the affected build tasks on change
+ */
+export async function watchCommand(options) {
+  console.log(chalk.bold.cyan('\n  Watch Mode\n'));
+
+  const config = await loadConfig();
+  const cwd = process.cwd();
+  const dirs = {
+    scss: normalizeDir(config.scssPath || 'assets/scss'),
+    css: normalizeDir(config.cssPath || 'assets/css'),
+    js: normalizeDir(config.jsPath || 'assets/js')
+  };
+  const distDir = normalizeDir(config.distPath || './dist');
+  const enabled = new Set(TASKS.filter(task => task.enabled(config)).map(task => task.name));
+
+  if (!options.zip) {
+    enabled.delete('zip');
+  }
+
+  const changed = new Set();
+  const written = new Map();
+  let timer = null;
+  let running = false;
+
+  const runBatch = async () => {
+    if (running) return;
+    running = true;
+
+    const files = [...changed];
+    changed.clear();
+
+    const affected = new Set(files.flatMap(file => tasksForFile(file, dirs)));
+    if (options.zip) affected.add('zip');
+
+    const start = Date.now();
+    const statuses = [];
+
+    if (!options.verbose) logger.setQuiet(true);
+
+    for (const task of TASKS) {
+      if (!affected.has(task.name) || !enabled.has(task.name)) continue;
+
+      try {
+        const result = await task.run(config);
+        const { ok, text } = task.summarize(result);
+        statuses.push(`${task.name} ${ok ? chalk.green(text) : chalk.red(text)}`);
+
+        // Compiled CSS triggers its own change events; the css task already ran
+        if (task.name === 'scss') {
+          result.results?.filter(r => r.success).forEach(r => {
+            written.set(relative(cwd, r.cssFile).replace(/\\/g, '/'), Date.now());
+          });
+        }
+      } catch (error) {
+        statuses.push(`${task.name} ${chalk.red('failed')}`);
+        logger.error(`${task.name}: ${error.message}`);
+      }
+    }
+
+    logger.setQuiet(false);
+
+    if (statuses.length > 0) {
+      console.log(`${chalk.gray(timestamp())} ${chalk.cyan(describeFiles(files))} → ${statuses.join(', ')} ${chalk.gray(`(${Date.now() - start}ms)`)}`);
+    }
+
+    running = false;
+
+    // Changes that arrived while tasks were running
+    if (changed.size > 0) {
+      schedule();
+    }
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    timer = setTimeout(runBatch, DEBOUNCE_MS);
+  };
+
+  const onChange = path => {
+    const file = relative(cwd, path).replace(/\\/g, '/');
+    const writtenAt = written.get(file);
+
+    if (BUILD_OUTPUT.test(file) || (writtenAt && Date.now() - writtenAt < SELF_WRITE_MS)) {
+      return;
+    }
+
+    // With --zip any source change rebuilds the zip
+    if (options.zip || tasksForFile(file, dirs).some(name => enabled.has(name))) {
+      changed.add(file);
+      schedule();
+    }
+  };
+
+  const watcher = chokidar.watch(cwd, {
+    ignoreInitial: true,
+    ignored: path => {
+      const file = relative(cwd, path).replace(/\\/g, '/');
+      if (file === '') return false;
+
+      const name = basename(path);
+      return name.startsWith('.') ||
+        IGNORED_DIRS.includes(name) ||
+        file === distDir ||
+        file.startsWith(`${distDir}/`);
+    }
+  });
+
+  watcher
+    .on('add', onChange)
+    .on('change', onChange)
+    .on('unlink', onChange)
+    .on('error', error => logger.error(`Watcher error: ${error.message}`));
+
+  await new Promise(resolve => watcher.once('ready', resolve));
+
+  logger.info(`Watching ${[...enabled].map(name => {
+    if (name === 'scss') return `${dirs.scss}/ (SCSS)`;
+    if (name === 'css') return `${dirs.css}/ (CSS)`;
+    if (name === 'js') return `${dirs.js}/ (JS)`;
+    if (name === 'pot') return '*.php (POT)';
+    return 'everything (zip)';
+  }).join(', ')}`);
+  logger.info('Press Ctrl+C to stop');
+  console.log();
+
+  process.on('SIGINT', async () => {
+    clearTimeout(timer);
+    await watcher.close();
+    console.log();
+    process.exit(0);
+  });
+}
@@ -0,0 +1,294 @@
+import chalk from 'chalk';
+import { join, resolve } from 'path';
+import { loadConfig } from '../utils/config-loader.js';
+import { logger } from '../utils/logger.js';
+import { formatBytes, formatSizeDelta } from '../utils/format.js';
+import { buildDistributionZip, explainDistributionPath } from '../tasks/zip-builder.js';
+import { inspectZip } from '../tasks/zip-inspector.js';
+import { diffZips, checkSizeThreshold } from '../tasks/zip-diff.js';
+import { findBaselineZip } from '../tasks/release-archive.js';
+
+/**
+ * "!*.map (includeSourceMaps)" style description of a rule
+ */
+function describeRule(rule) {
+  return `${chalk.bold(rule.pattern)} ${chalk.gray(`(${rule.source})`)}`;
+}
+
+/**
+ * Print why a path is or is not in the zip
+ */
+async function explainPath(config, path) {
+  const result = await explainDistributionPath(process.cwd(), config, path);
+  const label = `${result.path}${result.isDir ? '/' : ''}`;
+
+  if (result.excluded) {
+    console.log(`  ${chalk.red('✗')} ${chalk.bold(label)} is ${chalk.red('excluded')} from the zip`);
+  } else {
+    console.log(`  ${chalk.green('✓')} ${chalk.bold(label)} is ${chalk.green('included')} in the zip`);
+  }
+  console.log();
+
+  if (result.excludedDir) {
+    logger.info(`Parent directory ${chalk.bold(`${result.excludedDir.path}/`)} is excluded by ${describeRule(result.excludedDir.rule)}`);
+    logger.info('Files inside an excluded directory cannot be re-included; re-include the directory first');
+  } else if (result.rule) {
+    logger.info(`Decided by ${describeRule(result.rule)}`);
+  } else {
+    logger.info('No rule matches; files are included by default');
+  }
+
+  if (result.matches.length > 1) {
+    console.log(chalk.gray('\n  Matching rules, in order (the last one wins):'));
+    for (const rule of result.matches) {
+      console.log(`    ${rule.negate ? chalk.green('include') : chalk.red('exclude')}  ${describeRule(rule)}`);
+    }
+  }
+
+  console.log();
+}
+
+/**
+ * Build the distribution zip on its own, or explain a path with --explain
+ */
+export async function zipCommand(options) {
+  const config = await loadConfig();
+
+  if (options.explain) {
+    console.log(chalk.bold.cyan('\n  Zip Contents\n'));
+
+    try {
+      await explainPath(config, options.explain);
+    } catch (error) {
+      logger.error(`Could not read the exclude rules: ${error.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  console.log(chalk.bold.cyan('\n  Building Distribution Zip\n'));
+
+  try {
+    await buildDistributionZip(config, null, options.dryRun);
+  } catch (error) {
+    logger.error(`Zip failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * "42%" for a compression ratio
+ */
+function formatRatio(ratio) {
+  return `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * List the contents of the distribution zip and flag anything that should not ship
+ */
+export async function zipInspectCommand(zipFile, options) {
+  if (!options.json) {
+    console.log(chalk.bold.cyan('\n  Zip Inspection\n'));
+  }
+
+  const config = await loadConfig();
+  const zipPath = zipFile
+    ? resolve(zipFile)
+    : join(process.cwd(), config.distPath || './dist', `${config.slug}.zip`);
+
+  let report;
+  try {
+    report = await inspectZip(zipPath, config.slug);
+  } catch (error) {
+    logger.error(error.code === 'ENOENT'
+      ? `No zip found at ${zipPath}; run "es build" or "es zip" first`
+      : `Could not read ${zipPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  logger.info(`Zip: ${report.zip} (${formatBytes(report.zipSize)})`);
+  console.log();
+
+  console.log(chalk.gray(`  ${'Size'.padStart(9)}  ${'Packed'.padStart(9)}  ${'Saved'.padStart(5)}  Path`));
+  for (const file of report.files) {
+    console.log(`  ${formatBytes(file.size).padStart(9)}  ${formatBytes(file.compressedSize).padStart(9)}  ${formatRatio(file.ratio).padStart(5)}  ${file.path}`);
+  }
+  console.log(chalk.bold(`  ${formatBytes(report.totals.size).padStart(9)}  ${formatBytes(report.totals.compressedSize).padStart(9)}  ${formatRatio(report.totals.ratio).padStart(5)}  ${report.totals.files} file(s)`));
+  console.log();
+
+  console.log(chalk.white('  Largest files:'));
+  report.largestFiles.forEach(file => console.log(chalk.gray(`    ${formatBytes(file.size).padStart(9)}  ${file.path}`)));
+  console.log();
+
+  if (report.largestDirectories.length > 0) {
+    console.log(chalk.white('  Largest directories:'));
+    report.largestDirectories.forEach(dir => console.log(chalk.gray(`    ${formatBytes(dir.size).padStart(9)}  ${dir.path} (${dir.files} file(s))`)));
+    console.log();
+  }
+
+  if (report.warnings.length === 0) {
+    logger.success('No unexpected content found');
+  } else {
+    logger.warn(`${report.warnings.length} unexpected item(s):`);
+    for (const warning of report.warnings) {
+      const count = warning.files > 1 ? `, ${warning.files} files` : '';
+      console.log(chalk.yellow(`    ${warning.path}`) + chalk.gray(`  ${warning.reason} (${formatBytes(warning.size)}${count})`));
+    }
+  }
+  console.log();
+}
+
+/**
+ * Totals of a zip diff: file count, unpacked size and zip size
+ * Also used by checkReleaseZip() before a deploy.
+ */
+export function printZipDiffSummary(diff) {
+  const fileDelta = diff.new.files - diff.old.files;
+  const percent = `${diff.sizeDeltaPercent >= 0 ? '+' : ''}${diff.sizeDeltaPercent.toFixed(1)}%`;
+
+  console.log(chalk.gray(`    Files:    ${diff.old.files} → ${diff.new.files} (${fileDelta >= 0 ? '+' : ''}${fileDelta}; ${diff.added.length} added, ${diff.removed.length} removed, ${diff.changed.length} changed)`));
+  console.log(chalk.gray(`    Unpacked: ${formatBytes(diff.old.unpackedSize)} → ${formatBytes(diff.new.unpackedSize)} (${formatSizeDelta(diff.new.unpackedSize - diff.old.unpackedSize)})`));
+  console.log(chalk.gray(`    Zip:      ${formatBytes(diff.old.size)} → ${formatBytes(diff.new.size)} (${formatSizeDelta(diff.sizeDelta)}, ${percent})`));
+}
+
+/**
+ * Compare a zip about to be deployed with the last release (zipSizeThreshold)
+ * Every deploy path ("es deploy", "es sync", "es update-all") runs this
+ * after the build and before committing.
+ *
+ * @returns {Promise<boolean>} false if the size change exceeds zipSizeThreshold
+ */
+export async function checkReleaseZip(config, version) {
+  const zipPath = join(process.cwd(), config.distPath || './dist', `${config.slug}.zip`);
+  const baseline = await findBaselineZip(config, version);
+
+  if (!baseline) {
+    logger.warn('No previous release to compare the zip with, so the size check is skipped');
+    logger.warn('Set releasesPath, or deploy once so dist/previous/ holds the shipped zip');
+    return true;
+  }
+
+  let diff;
+  try {
+    diff = await diffZips(baseline.path, zipPath);
+  } catch (error) {
+    logger.warn(`Could not compare the zip with ${baseline.label}: ${error.message}`);
+    return true;
+  }
+
+  logger.info(`Compared with ${baseline.label}:`);
+  printZipDiffSummary(diff);
+  diff.addedDirectories.forEach(dir => logger.info(`New directory: ${dir.path} (${dir.files} file(s))`));
+  diff.removedDirectories.forEach(dir => logger.warn(`Removed directory: ${dir.path} (${dir.files} file(s))`));
+
+  const problem = checkSizeThreshold(diff, config.zipSizeThreshold);
+  if (problem) {
+    logger.error(problem);
+    return false;
+  }
+
+  logger.success('Zip size change is within limits');
+  return true;
+}
+
+/**
+ * Compare two zips: added, removed and changed files and the size change
+ *
+ * Defaults to the newest release in releasesPath, or the zip the last deploy
+ * shipped, against dist/<slug>.zip. Exits with 1 when the size change
+ * exceeds zipSizeThreshold.
+ */
+export async function zipDiffCommand(oldZip, newZip, options) {
+  if (!options.json) {
+    console.log(chalk.bold.cyan('\n  Zip Diff\n'));
+  }
+
+  const config = await loadConfig();
+  const newPath = newZip
+    ? resolve(newZip)
+    : join(process.cwd(), config.distPath || './dist', `${config.slug}.zip`);
+
+  let oldPath = oldZip ? resolve(oldZip) : null;
+  let oldLabel = oldPath;
+
+  if (!oldPath) {
+    const baseline = await findBaselineZip(config);
+    if (!baseline) {
+      logger.error('No previous release to compare with. Pass a zip, set releasesPath, or deploy once so dist/previous/ holds the shipped zip.');
+      process.exit(1);
+    }
+    oldPath = baseline.path;
+    oldLabel = `${baseline.path} (${baseline.label})`;
+  }
+
+  let diff;
+  try {
+    diff = await diffZips(oldPath, newPath);
+  } catch (error) {
+    logger.error(error.code === 'ENOENT'
+      ? `No zip found at ${error.path}`
+      : `Could not compare the zips: ${error.message}`);
+    process.exit(1);
+  }
+
+  const problem = checkSizeThreshold(diff, config.zipSizeThreshold);
+
+  if (options.json) {
+    console.log(JSON.stringify({ ...diff, thresholdExceeded: problem }, null, 2));
+    if (problem) process.exit(1);
+    return;
+  }
+
+  logger.info(`Old: ${oldLabel}`);
+  logger.info(`New: ${newPath}`);
+  console.log();
+
+  if (diff.addedDirectories.length > 0) {
+    console.log(chalk.white('  New directories:'));
+    diff.addedDirectories.forEach(dir => console.log(chalk.green(`    + ${dir.path}`) + chalk.gray(`  ${dir.files} file(s), ${formatBytes(dir.size)}`)));
+    console.log();
+  }
+
+  if (diff.removedDirectories.length > 0) {
+    console.log(chalk.white('  Removed directories:'));
+    diff.removedDirectories.forEach(dir => console.log(chalk.red(`    - ${dir.path}`) + chalk.gray(`  ${dir.files} file(s), ${formatBytes(dir.size)}`)));
+    console.log();
+  }
+
+  if (diff.added.length > 0) {
+    console.log(chalk.white(`  Added (${diff.added.length}):`));
+    diff.added.forEach(file => console.log(chalk.green(`    + ${file.path}`) + chalk.gray(`  ${formatBytes(file.size)}`)));
+    console.log();
+  }
+
+  if (diff.removed.length > 0) {
+    console.log(chalk.white(`  Removed (${diff.removed.length}):`));
+    diff.removed.forEach(file => console.log(chalk.red(`    - ${file.path}`) + chalk.gray(`  ${formatBytes(file.size)}`)));
+    console.log();
+  }
+
+  if (diff.changed.length > 0) {
+    console.log(chalk.white(`  Changed (${diff.changed.length}):`));
+    diff.changed.forEach(file => console.log(chalk.yellow(`    ~ ${file.path}`) + chalk.gray(`  ${formatBytes(file.oldSize)} → ${formatBytes(file.newSize)} (${formatSizeDelta(file.delta)})`)));
+    console.log();
+  }
+
+  if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+    logger.success('The zips contain the same files');
+    console.log();
+  }
+
+  printZipDiffSummary(diff);
+  console.log();
+
+  if (problem) {
+    logger.error(problem);
+    console.log();
+    process.exit(1);
+  }
+}
@@ -18,46 +18,74 @@ process.env.DOTENV_CONFIG_SILENT = 'true';
  * - Network retry logic
  * - Early failure detection
  *
- * Usage: node deploy-monitor.js <config-json-base64>
+ * The parent only passes a job ID. Job settings are read from a 0600 job
+ * file (deleted as soon as it is read) and credentials are resolved here,
+ * so they never appear in argv, the job file or the shared status file.
+ *
+ * Usage: node deploy-monitor.js <job-id>
  */
 
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { claimMonitorJob } from './monitor-job.js';
+import { getCredentials } from '../utils/credential-store.js';
 
 const execAsync = promisify(exec);
 
-// Configuration from command line
-const configBase64 = process.argv[2];
-if (!configBase64) {
-  console.error('Missing config argument');
+// Job ID from command line
+const jobId = process.argv[2];
+if (!jobId) {
+  console.error('Missing job ID argument');
   process.exit(1);
 }
 
-const config = JSON.parse(Buffer.from(configBase64, 'base64').toString('utf-8'));
+let config;
+try {
+  config = await claimMonitorJob(jobId);
+} catch (error) {
+  console.error(`Could not read monitor job: ${error.message}`);
+  process.exit(1);
+}
 
 const {
   productId,
   version,
   slug,
-  credentials,
   workingDir,
   commitMessage,
+  credentialProfile = null, // Optional: named credential profile
+  credentialCommand = null, // Optional: command that prints credentials
   statusFile = null,        // Optional: shared status file for dashboard
   isBatchDeploy = false,    // Optional: batch deployment mode
   batchIndex = 0,           // Optional: index in batch
   batchTotal = 1            // Optional: total in batch
 } = config;
 
+// Resolved in monitor() so failures are reported to the dashboard
+let credentials = null;
+
 const POLL_INTERVAL = 30000; // 30 seconds
 const MAX_ATTEMPTS = 60; // 30 minutes max
 
+/**
+ * Remove any credential values that leaked into a string (e.g. an echoed API error)
+ */
+function redact(text) {
+  if (!credentials || typeof text !== 'string') return text;
+  return text.split(credentials.password).join('[redacted]');
+}
+
 /**
  * Update shared status file (for dashboard)
  */
 function updateSharedStatus(updates) {
   if (!statusFile) return;
 
+  if (updates.error) {
+    updates = { ...updates, error: redact(updates.error) };
+  }
+
   try {
     let data = [];
     if (existsSync(statusFile)) {
@@ -280,6 +308,18 @@ async function monitor() {
   console.log(`Product ID: ${productId}`);
   console.log(`Polling every ${POLL_INTERVAL / 1000} seconds (max ${MAX_ATTEMPTS} attempts)\n`);
 
+  try {
+    credentials = await getCredentials({
+      credentialCommand,
+      profile: credentialProfile || undefined
+    });
+  } catch (error) {
+    console.error(`Credentials error: ${error.message}`);
+    updateSharedStatus({ status: 'error', error: error.message });
+    await notify('🔒 Deploy Monitor Error', `${slug}: ${error.message}`, 'Basso');
+    process.exit(1);
+  }
+
   // Initialize status
   updateSharedStatus({
     status: 'queued',
@@ -394,7 +434,7 @@ async function monitor() {
       await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
 
     } catch (error) {
-      console.error(`  Error: ${error.message}`);
+      console.error(`  Error: ${redact(error.message)}`);
 
       updateSharedStatus({
         status: 'error',
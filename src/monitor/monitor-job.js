@@ -0,0 +1,86 @@
+import { mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { spawn } from 'child_process';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Job files hand monitor settings to the detached process.
+// They never contain credentials - the monitor resolves those itself.
+const JOBS_DIR = join(homedir(), '.es', 'jobs');
+
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Write a monitor job file (mode 600) and return its ID
+ *
+ * @param {object} job
+ * @param {string} job.productId
+ * @param {string} job.version
+ * @param {string} job.slug
+ * @param {string} job.workingDir
+ * @param {string} [job.commitMessage]
+ * @param {string|null} [job.credentialProfile]
+ * @param {string|null} [job.credentialCommand]
+ * @param {string|null} [job.statusFile]
+ * @param {boolean} [job.isBatchDeploy]
+ * @param {number} [job.batchIndex]
+ * @param {number} [job.batchTotal]
+ * @returns {Promise<string>}
+ */
+export async function createMonitorJob(job) {
+  const id = randomUUID();
+
+  await mkdir(JOBS_DIR, { recursive: true, mode: 0o700 });
+  await writeFile(join(JOBS_DIR, `${id}.json`), JSON.stringify(job, null, 2), {
+    encoding: 'utf-8',
+    mode: 0o600
+  });
+
+  return id;
+}
+
+/**
+ * Read a monitor job and delete its file, so it can only be claimed once
+ */
+export async function claimMonitorJob(id) {
+  if (!JOB_ID_PATTERN.test(id || '')) {
+    throw new Error(`Invalid monitor job ID: ${id}`);
+  }
+
+  const path = join(JOBS_DIR, `${id}.json`);
+  const content = await readFile(path, 'utf-8');
+  await rm(path, { force: true });
+
+  return JSON.parse(content);
+}
+
+/**
+ * Create a job and spawn the deploy monitor for it
+ *
+ * @param {object} job - See createMonitorJob()
+ * @param {object} [options]
+ * @param {boolean} [options.background=true] - Detach and ignore stdio
+ * @returns {Promise<import('child_process').ChildProcess>}
+ */
+export async function startDeployMonitor(job, options = {}) {
+  const { background = true } = options;
+  const jobId = await createMonitorJob(job);
+  const monitorPath = join(__dirname, 'deploy-monitor.js');
+
+  const child = spawn('node', [monitorPath, jobId], {
+    detached: background,
+    stdio: background ? 'ignore' : 'inherit',
+    cwd: job.workingDir
+  });
+
+  if (background) {
+    // Unref to allow parent to exit
+    child.unref();
+  }
+
+  return child;
+}
@@ -0,0 +1,347 @@
+import { execa } from 'execa';
+import { access } from 'fs/promises';
+import { createRequire } from 'module';
+import { join, isAbsolute } from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+import { compileScssFiles } from './scss-compiler.js';
+import { minifyCssFiles } from './css-minifier.js';
+import { minifyJsFiles } from './js-minifier.js';
+import { generatePotFile } from './pot-generator.js';
+import { buildDistributionZip } from './zip-builder.js';
+import { findSincePlaceholders } from './since-replacer.js';
+import { runTaskGraph, defaultConcurrency } from '../utils/task-graph.js';
+
+/**
+ * Built-in build steps (keep BUILTIN_STEP_NAMES in utils/build-steps.js in sync)
+ *
+ * - enabled: config flag that turns the step off (minifyCss: false, ...)
+ * - after: built-in steps whose output this step reads
+ * - continueOnError: default for the step; a failure is reported as a warning
+ * - run: ({ config, dryRun, cache }) => result
+ */
+const BUILTIN_STEPS = {
+  scss: {
+    description: 'Compile SCSS',
+    enabled: config => config.compileScss !== false,
+    continueOnError: false,
+    run: async ({ config, dryRun }) => {
+      const result = await compileScssFiles(config, dryRun);
+      // A failed compile would ship stale CSS
+      if (!result.success) {
+        throw new Error('SCSS compilation failed');
+      }
+      return result;
+    }
+  },
+  css: {
+    description: 'Minify CSS',
+    after: ['scss'],
+    enabled: config => config.minifyCss !== false,
+    continueOnError: true,
+    run: ({ config, dryRun, cache }) => minifyCssFiles(config, dryRun, cache)
+  },
+  js: {
+    description: 'Minify JS',
+    enabled: config => config.minifyJs === true,
+    continueOnError: false,
+    run: async ({ config, dryRun, cache }) => {
+      const result = await minifyJsFiles(config, dryRun, cache);
+      // A syntax error would ship a stale .min.js
+      if (!result.success) {
+        throw new Error('JS minification failed');
+      }
+      return result;
+    }
+  },
+  pot: {
+    description: 'Generate POT file',
+    enabled: config => config.generatePot !== false,
+    continueOnError: true,
+    run: ({ config, dryRun, cache }) => generatePotFile(config, dryRun, cache)
+  },
+  since: {
+    description: 'Check @since placeholders',
+    enabled: () => true,
+    continueOnError: true,
+    run: ({ config }) => warnSincePlaceholders(config)
+  },
+  zip: {
+    description: 'Build distribution package',
+    enabled: () => true,
+    continueOnError: false,
+    run: ({ config, dryRun, cache }) => buildDistributionZip(config, null, dryRun, cache)
+  }
+};
+
+/**
+ * Warn if "@since x.x.x" placeholders would ship in the zip
+ */
+async function warnSincePlaceholders(config) {
+  const found = await findSincePlaceholders(config);
+  if (found.length === 0) {
+    return;
+  }
+
+  logger.warn(`${found.length} @since placeholder(s) would ship in the zip:`);
+  for (const { file, line, placeholder } of found) {
+    logger.warn(`  ${file}:${line}  @since ${placeholder}`);
+  }
+  logger.warn('Run "es version" to replace them with the release version');
+}
+
+/**
+ * The steps to run: build.steps, or the default pipeline
+ * The default runs preBuildCommand after the POT file, as it always has.
+ *
+ * @returns {Array<object>} Steps as objects ({ task } | { run } | { plugin })
+ */
+export function resolveBuildSteps(config) {
+  const steps = config.build?.steps || [
+    'scss',
+    'css',
+    'js',
+    'pot',
+    ...(config.preBuildCommand ? [{ run: config.preBuildCommand, name: 'preBuildCommand' }] : []),
+    'since',
+    'zip'
+  ];
+
+  return steps.map(step => (typeof step === 'string' ? { task: step } : step));
+}
+
+/**
+ * Check a step's "when" condition
+ *
+ *   "when": { "exists": "blocks/package.json" }   path exists (relative to the project root)
+ *   "when": { "env": "CI" }                       environment variable is set and not empty
+ *   "when": { "env": { "NODE_ENV": "production" } }
+ *   "when": { "dev": true }                       only for "es build --dev" (false: never for it)
+ *
+ * Every condition given must hold.
+ */
+async function conditionHolds(when, context) {
+  if (!when) {
+    return true;
+  }
+
+  if (when.exists !== undefined) {
+    try {
+      await access(join(context.cwd, when.exists));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  if (typeof when.env === 'string' && !process.env[when.env]) {
+    return false;
+  }
+
+  if (when.env && typeof when.env === 'object') {
+    for (const [name, value] of Object.entries(when.env)) {
+      if (process.env[name] !== String(value)) return false;
+    }
+  }
+
+  if (when.dev !== undefined && when.dev !== context.dev) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Import a plugin module
+ * Paths are relative to the project root; anything else is resolved as a
+ * package from the project's node_modules.
+ */
+async function loadBuildPlugin(specifier, cwd) {
+  let path;
+  if (specifier.startsWith('.') || isAbsolute(specifier)) {
+    path = isAbsolute(specifier) ? specifier : join(cwd, specifier);
+  } else {
+    path = createRequire(join(cwd, 'package.json')).resolve(specifier);
+  }
+
+  const module = await import(pathToFileURL(path).href);
+  const plugin = module.default || module;
+
+  if (typeof plugin === 'function') {
+    return { name: specifier, run: plugin };
+  }
+  if (plugin && typeof plugin.run === 'function') {
+    return { name: plugin.name || specifier, run: plugin.run.bind(plugin) };
+  }
+
+  throw new Error(`${specifier} must export a function or an object with a run() method`);
+}
+
+/**
+ * Run a shell command step
+ */
+async function runShellStep(step, context) {
+  const cwd = step.cwd ? join(context.cwd, step.cwd) : context.cwd;
+
+  if (context.dryRun) {
+    logger.info(`Would run: ${step.run}${step.cwd ? ` (in ${step.cwd})` : ''}`);
+    return null;
+  }
+
+  const spinner = logger.spinner(`Running: ${step.run}`);
+
+  try {
+    await execa(step.run, {
+      stdio: 'inherit',
+      cwd,
+      env: { ...process.env, ...(step.env || {}) },
+      shell: true
+    });
+
+    spinner.succeed('Command completed');
+    return null;
+  } catch (error) {
+    spinner.fail('Command failed');
+    throw new Error(error.exitCode !== undefined ? `exited with code ${error.exitCode}` : error.message);
+  }
+}
+
+/**
+ * Human-readable label for a step
+ */
+function stepLabel(step) {
+  if (step.name) return step.name;
+  if (step.task) return BUILTIN_STEPS[step.task].description;
+  if (step.run) return step.run;
+  return step.plugin;
+}
+
+/**
+ * Give every step an id and the ids of the steps it waits for
+ *
+ * - Built-in steps wait for their own inputs (css waits for scss) and for
+ *   every shell or plugin step listed before them, which may produce files
+ * - zip, shell and plugin steps wait for every step listed before them
+ * - "after": ["css", "Build blocks"] replaces the defaults with explicit ids
+ *   (built-in task names, or the name of a shell/plugin step)
+ */
+export function planBuildSteps(steps) {
+  const planned = [];
+  const used = new Set();
+
+  steps.forEach((step, index) => {
+    let id = step.task || step.name || `step ${index + 1}`;
+    for (let n = 2; used.has(id); n++) {
+      id = `${step.task || step.name || `step ${index + 1}`} #${n}`;
+    }
+    used.add(id);
+
+    let deps;
+
+    if (step.after) {
+      deps = step.after;
+    } else if (step.task && step.task !== 'zip') {
+      const inputs = BUILTIN_STEPS[step.task].after || [];
+      deps = planned
+        .filter(other => (other.step.task ? inputs.includes(other.step.task) : true))
+        .map(other => other.id);
+    } else {
+      deps = planned.map(other => other.id);
+    }
+
+    planned.push({ id, step, deps });
+  });
+
+  return planned;
+}
+
+/**
+ * Run the build pipeline
+ *
+ * Steps run as a dependency graph (see planBuildSteps), up to
+ * build.concurrency at a time. A failing step stops the build unless it
+ * sets continueOnError (built-in css, pot and since default to true).
+ *
+ * Plugins receive { config, logger, dryRun, dev, cwd, options, cache } and
+ * may return a value; a plugin step that builds its own zip can return { zipPath }.
+ *
+ * @returns {Promise<{ zipPath?: string, duration: number, steps: Array<{ id: string, label: string, status: 'ok'|'skipped'|'failed', duration: number }> }>}
+ */
+export async function runBuildSteps(config, options = {}) {
+  const { dryRun = false, dev = false, cache = null } = options;
+  const cwd = process.cwd();
+  const context = { cwd, dryRun, dev };
+  const concurrency = config.build?.concurrency || defaultConcurrency();
+  const planned = planBuildSteps(resolveBuildSteps(config));
+  const report = new Map();
+  let zipResult = null;
+
+  if (config.build?.steps && config.preBuildCommand) {
+    logger.warn('preBuildCommand is ignored when build.steps is set; add it as a { "run": ... } step');
+  }
+
+  const runStep = async ({ id, step }) => {
+    const label = stepLabel(step);
+    const builtin = step.task ? BUILTIN_STEPS[step.task] : null;
+    const start = Date.now();
+    const record = status => report.set(id, { id, label, status, duration: Date.now() - start });
+
+    if ((builtin && !builtin.enabled(config)) || !(await conditionHolds(step.when, context))) {
+      record('skipped');
+      return;
+    }
+
+    logger.step(`${label}...`);
+
+    const continueOnError = step.continueOnError ?? builtin?.continueOnError ?? false;
+
+    try {
+      let result;
+      if (builtin) {
+        result = await builtin.run({ config, dryRun, cache });
+      } else if (step.run) {
+        result = await runShellStep(step, context);
+      } else {
+        const plugin = await loadBuildPlugin(step.plugin, cwd);
+        result = await plugin.run({
+          config,
+          logger,
+          dryRun,
+          dev,
+          cwd,
+          options: step.options || {},
+          cache
+        });
+      }
+
+      if (result && result.zipPath) {
+        zipResult = result;
+      }
+      record('ok');
+    } catch (error) {
+      record('failed');
+
+      if (!continueOnError) {
+        throw new Error(`${label}: ${error.message}`);
+      }
+      logger.warn(`${label} failed, continuing: ${error.message}`);
+    }
+  };
+
+  const start = Date.now();
+  logger.setInteractive(concurrency <= 1);
+
+  try {
+    await runTaskGraph(
+      planned.map(item => ({ id: item.id, deps: item.deps, run: () => runStep(item) })),
+      { concurrency }
+    );
+  } finally {
+    logger.setInteractive(true);
+  }
+
+  return {
+    ...(zipResult || {}),
+    duration: Date.now() - start,
+    steps: planned.filter(item => report.has(item.id)).map(item => report.get(item.id))
+  };
+}
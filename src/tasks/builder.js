@@ -1,56 +1,76 @@
+import chalk from 'chalk';
 import { execa } from 'execa';
 import { access } from 'fs/promises';
 import { join } from 'path';
 import { logger } from '../utils/logger.js';
-import { minifyCssFiles } from './css-minifier.js';
-import { generatePotFile } from './pot-generator.js';
-import { buildDistributionZip, validateZip } from './zip-builder.js';
+import { formatDuration } from '../utils/format.js';
+import { validateZip } from './zip-builder.js';
+import { runBuildSteps } from './build-pipeline.js';
+import { loadBuildCache } from '../utils/build-cache.js';
 
 /**
  * Run the complete build process using built-in tasks
  * This replaces the need for grunt in individual plugins
+ *
+ * The steps come from build.steps (see build-pipeline.js). Unchanged CSS/JS
+ * files, PHP sources and zip contents are skipped using the content-hash
+ * cache in .es-cache/; pass { cache: false } to rebuild everything.
  */
-export async function runBuild(config, dryRun = false) {
+export async function runBuild(config, dryRun = false, options = {}) {
   console.log();
 
-  // Step 1: CSS Minification (if enabled)
-  if (config.minifyCss !== false) {
-    logger.step('Minifying CSS files...');
-    try {
-      await minifyCssFiles(config, dryRun);
-    } catch (error) {
-      logger.warn(`CSS minification skipped: ${error.message}`);
+  const cache = dryRun ? null : await loadBuildCache(process.cwd(), options.cache !== false);
+
+  try {
+    const result = await runBuildSteps(config, { dryRun, dev: options.dev === true, cache });
+
+    if (!dryRun && !result.zipPath) {
+      logger.warn('No distribution zip was built; add the "zip" step to build.steps');
+    }
+
+    if (!dryRun && result.zipPath) {
+      const valid = await validateZip(result.zipPath);
+      if (!valid) {
+        throw new Error('Generated zip file appears to be invalid or empty');
+      }
+    }
+
+    if (!dryRun) {
+      printTimings(result);
     }
-  }
 
-  // Step 2: Generate POT file (if enabled)
-  if (config.generatePot !== false) {
-    logger.step('Generating POT file...');
-    try {
-      await generatePotFile(config, dryRun);
-    } catch (error) {
-      logger.warn(`POT generation skipped: ${error.message}`);
+    if (cache) {
+      const { hits, misses } = cache.stats;
+      logger.info(cache.enabled
+        ? `Build cache: ${hits} hit(s), ${misses} rebuilt`
+        : `Build cache: disabled (--no-cache), ${misses} rebuilt`);
     }
+
+    return result;
+  } finally {
+    // Keep whatever was rebuilt, even if a later step failed
+    await cache?.save();
   }
+}
 
-  // Step 3: Run custom pre-build command if specified
-  if (config.preBuildCommand) {
-    logger.step('Running pre-build command...');
-    await runCommand(config.preBuildCommand, dryRun);
+/**
+ * Print how long each build step took
+ * Steps may overlap, so the total is wall-clock time rather than their sum.
+ */
+function printTimings(result) {
+  const steps = result.steps.filter(step => step.status !== 'skipped');
+  if (steps.length === 0) {
+    return;
   }
 
-  // Step 4: Build distribution zip
-  logger.step('Building distribution package...');
-  const result = await buildDistributionZip(config, null, dryRun);
+  const width = Math.max(...steps.map(step => step.label.length));
 
-  if (!dryRun && result.zipPath) {
-    const valid = await validateZip(result.zipPath);
-    if (!valid) {
-      throw new Error('Generated zip file appears to be invalid or empty');
-    }
+  logger.info('Step timings:');
+  for (const step of steps) {
+    const status = step.status === 'failed' ? chalk.red(' (failed)') : '';
+    console.log(chalk.gray(`    ${step.label.padEnd(width)}  ${formatDuration(step.duration).padStart(7)}`) + status);
   }
-
-  return result;
+  console.log(chalk.gray(`    ${'Total'.padEnd(width)}  ${formatDuration(result.duration).padStart(7)}`));
 }
 
 /**
@@ -89,31 +109,6 @@ export async function runLegacyBuild(config, dryRun = false) {
   }
 }
 
-/**
- * Run a shell command
- */
-async function runCommand(command, dryRun = false) {
-  if (dryRun) {
-    logger.info(`Would run: ${command}`);
-    return;
-  }
-
-  const spinner = logger.spinner(`Running: ${command}`);
-
-  try {
-    await execa(command, {
-      stdio: 'inherit',
-      cwd: process.cwd(),
-      shell: true
-    });
-
-    spinner.succeed('Command completed');
-  } catch (error) {
-    spinner.fail('Command failed');
-    throw new Error(`Command failed: ${error.message}`);
-  }
-}
-
 /**
  * Check if dist directory exists and has content
  */
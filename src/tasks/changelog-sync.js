@@ -0,0 +1,196 @@
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { logger } from '../utils/logger.js';
+import { parseChangelog } from '../utils/changelog.js';
+
+// Keep a Changelog sections, in the order the spec lists them
+const KEEP_A_CHANGELOG_SECTIONS = ['Added', 'Changed', 'Deprecated', 'Removed', 'Fixed', 'Security'];
+
+// changelog.txt entry types -> Keep a Changelog sections (anything else is "Changed")
+const KEEP_A_CHANGELOG_TYPES = {
+  new: 'Added',
+  add: 'Added',
+  added: 'Added',
+  feature: 'Added',
+  fix: 'Fixed',
+  fixed: 'Fixed',
+  security: 'Security',
+  remove: 'Removed',
+  removed: 'Removed',
+  deprecate: 'Deprecated',
+  deprecated: 'Deprecated'
+};
+
+const KEEP_A_CHANGELOG_HEADER = [
+  '# Changelog',
+  '',
+  'All notable changes to this project will be documented in this file.',
+  '',
+  'The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/).',
+  ''
+];
+
+/**
+ * Convert a changelog.txt date (2025.12.07) to ISO format (2025-12-07)
+ */
+function isoDate(date) {
+  return date.replace(/[./]/g, '-');
+}
+
+/**
+ * Render releases as a readme.txt changelog:
+ *
+ *   = 2.3.11 - 2025-12-07 =
+ *   * Fix - Correct tax rounding
+ */
+export function renderReadmeChangelog(releases) {
+  const lines = [];
+
+  for (const release of releases) {
+    lines.push(`= ${release.version} - ${isoDate(release.date)} =`);
+    for (const entry of release.entries) {
+      lines.push(entry.type ? `* ${entry.type} - ${entry.description}` : `* ${entry.text}`);
+    }
+    lines.push('');
+  }
+
+  return lines;
+}
+
+/**
+ * Render releases as Keep a Changelog sections:
+ *
+ *   ## [2.3.11] - 2025-12-07
+ *
+ *   ### Fixed
+ *
+ *   - Correct tax rounding
+ */
+export function renderKeepAChangelog(releases) {
+  const lines = [];
+
+  for (const release of releases) {
+    lines.push(`## [${release.version}] - ${isoDate(release.date)}`, '');
+
+    const sections = new Map();
+    for (const entry of release.entries) {
+      const section = KEEP_A_CHANGELOG_TYPES[(entry.type || '').toLowerCase()] || 'Changed';
+      if (!sections.has(section)) sections.set(section, []);
+      sections.get(section).push(entry.type ? entry.description : entry.text);
+    }
+
+    for (const section of KEEP_A_CHANGELOG_SECTIONS) {
+      if (!sections.has(section)) continue;
+      lines.push(`### ${section}`, '');
+      sections.get(section).forEach(item => lines.push(`- ${item}`));
+      lines.push('');
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Replace the == Changelog == section of a readme.txt
+ * Text outside the section is left untouched; the section is appended when missing.
+ */
+function updateReadme(content, releases) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content === '' ? [] : content.split(eol);
+  const rendered = renderReadmeChangelog(releases);
+
+  const start = lines.findIndex(line => /^==\s*Changelog\s*==\s*$/i.test(line.trim()));
+
+  if (start === -1) {
+    while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+    return [...lines, '', '== Changelog ==', '', ...rendered].join(eol);
+  }
+
+  let end = lines.findIndex((line, index) => index > start && /^==[^=].*==\s*$/.test(line.trim()));
+  if (end === -1) end = lines.length;
+
+  // Rendered releases end with a blank line, separating them from the next section
+  return [...lines.slice(0, start + 1), '', ...rendered, ...lines.slice(end)].join(eol);
+}
+
+/**
+ * Replace the release sections of a Keep a Changelog file
+ * The header and an [Unreleased] section are kept, as are link
+ * definitions at the end of the file.
+ */
+function updateKeepAChangelog(content, releases) {
+  const eol = content.includes('\r\n') ? '\r\n' : '\n';
+  const lines = content === '' ? [...KEEP_A_CHANGELOG_HEADER] : content.split(eol);
+
+  let start = lines.findIndex(line => /^##\s+\[?v?\d+\.\d+\.\d+/.test(line));
+  if (start === -1) {
+    start = lines.length;
+    while (start > 0 && lines[start - 1] === '') start--;
+    lines.splice(start, lines.length - start, '');
+    start++;
+  }
+
+  // Link definitions ([2.3.11]: https://...) after the last release
+  let end = lines.length;
+  while (end > start && (lines[end - 1] === '' || /^\[[^\]]+\]:\s/.test(lines[end - 1]))) end--;
+  const links = lines.slice(end).filter(line => line !== '');
+
+  // Rendered releases end with a blank line, so the file ends with a newline
+  const footer = links.length > 0 ? [...links, ''] : [];
+  return [...lines.slice(0, start), ...renderKeepAChangelog(releases), ...footer].join(eol);
+}
+
+/**
+ * Render changelog.txt into every configured changelogTargets file
+ *
+ * @param {object} config - Needs changelogTargets: [{ file, format, limit? }]
+ * @param {boolean} dryRun - If true, report without writing
+ * @returns {Promise<Array<{ file: string, changed: boolean }>>}
+ */
+export async function syncChangelogTargets(config, dryRun = false) {
+  const targets = config.changelogTargets || [];
+  if (targets.length === 0) {
+    return [];
+  }
+
+  let changelog;
+  try {
+    changelog = parseChangelog(await readFile(join(process.cwd(), 'changelog.txt'), 'utf-8'));
+  } catch (error) {
+    logger.warn('No changelog.txt found, skipping changelog targets');
+    return [];
+  }
+
+  const results = [];
+
+  for (const target of targets) {
+    const path = join(process.cwd(), target.file);
+    const releases = target.limit ? changelog.releases.slice(0, target.limit) : changelog.releases;
+
+    let content = '';
+    try {
+      content = await readFile(path, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const updated = target.format === 'readme'
+      ? updateReadme(content, releases)
+      : updateKeepAChangelog(content, releases);
+
+    const changed = updated !== content;
+
+    if (!changed) {
+      logger.info(`${target.file} is up to date`);
+    } else if (dryRun) {
+      logger.info(`Would update ${target.file}`);
+    } else {
+      await writeFile(path, updated, 'utf-8');
+      logger.success(`Updated ${target.file}`);
+    }
+
+    results.push({ file: target.file, changed });
+  }
+
+  return results;
+}
@@ -2,69 +2,7 @@ import { readFile, writeFile, access } from 'fs/promises';
 import { join } from 'path';
 import chalk from 'chalk';
 import { logger } from '../utils/logger.js';
-
-/**
- * Format date as YYYY.MM.DD
- */
-function formatDate() {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  return `${year}.${month}.${day}`;
-}
-
-/**
- * Find existing version entry in changelog
- * Returns { found: boolean, startLine: number, endLine: number }
- */
-function findVersionEntry(lines, version) {
-  const versionPattern = new RegExp(`^\\d{4}\\.\\d{2}\\.\\d{2}\\s*-\\s*version\\s+${version.replace(/\./g, '\\.')}\\s*$`, 'i');
-  const anyVersionPattern = /^\d{4}\.\d{2}\.\d{2}\s*-\s*version\s+\d+\.\d+\.\d+/i;
-
-  let startLine = -1;
-  let endLine = -1;
-
-  for (let i = 0; i < lines.length; i++) {
-    if (versionPattern.test(lines[i].trim())) {
-      startLine = i;
-
-      // Find where this entry ends (next version line or end of file)
-      for (let j = i + 1; j < lines.length; j++) {
-        if (anyVersionPattern.test(lines[j].trim())) {
-          endLine = j;
-          break;
-        }
-      }
-
-      // If no next version found, entry goes to end of file
-      if (endLine === -1) {
-        endLine = lines.length;
-      }
-
-      break;
-    }
-  }
-
-  return { found: startLine !== -1, startLine, endLine };
-}
-
-/**
- * Get existing entries from a version block
- */
-function getExistingEntries(lines, startLine, endLine) {
-  const entries = [];
-
-  for (let i = startLine + 1; i < endLine; i++) {
-    const line = lines[i].trim();
-    // Match lines that start with * or are indented bullet points
-    if (line.startsWith('*') || line.startsWith('-')) {
-      entries.push(line);
-    }
-  }
-
-  return entries;
-}
+import { parseChangelog, renderChangelog, findRelease, addRelease, addEntries } from '../utils/changelog.js';
 
 /**
  * Add new version entry to changelog.txt
@@ -88,18 +26,13 @@ export async function updateChangelog(version, entries, dryRun = false) {
 
   try {
     const content = await readFile(changelogPath, 'utf-8');
-    const date = formatDate();
-    const lines = content.split('\n');
+    const changelog = parseChangelog(content);
 
-    // Normalize entries to array and format them
+    // Normalize entries to array, dropping bullet prefixes (the model adds them)
     const entryList = Array.isArray(entries) ? entries : [entries];
     const formattedEntries = entryList
       .filter(e => e && e.trim())
-      .map(entry => {
-        const trimmed = entry.trim();
-        // Ensure entry has proper format (add asterisk prefix if needed)
-        return trimmed.startsWith('*') ? trimmed : `* ${trimmed}`;
-      });
+      .map(entry => entry.trim().replace(/^\*\s*/, ''));
 
     if (formattedEntries.length === 0) {
       logger.info('No changelog entries to add');
@@ -107,70 +40,34 @@ export async function updateChangelog(version, entries, dryRun = false) {
     }
 
     // Check if version entry already exists
-    const existing = findVersionEntry(lines, version);
+    const existing = findRelease(changelog, version);
 
-    if (existing.found) {
-      // Get existing entries to avoid duplicates
-      const existingEntries = getExistingEntries(lines, existing.startLine, existing.endLine);
-
-      // Filter out entries that already exist (case-insensitive comparison)
-      const newEntries = formattedEntries.filter(newEntry => {
-        const normalized = newEntry.toLowerCase().replace(/^\*\s*/, '').trim();
-        return !existingEntries.some(existing =>
-          existing.toLowerCase().replace(/^\*\s*/, '').trim() === normalized
-        );
-      });
+    if (existing) {
+      // Existing entries are skipped (case-insensitive comparison)
+      const newEntries = addEntries(changelog, existing, formattedEntries);
 
       if (newEntries.length === 0) {
         logger.info('All changelog entries already exist');
         return true;
       }
 
-      // Find the last entry line in this version block
-      let lastEntryLine = existing.startLine;
-      for (let i = existing.startLine + 1; i < existing.endLine; i++) {
-        const line = lines[i].trim();
-        if (line.startsWith('*') || line.startsWith('-')) {
-          lastEntryLine = i;
-        }
-      }
-
-      // Insert new entries after the last entry
-      const insertContent = newEntries.map(e => `    ${e}`).join('\n');
-      lines.splice(lastEntryLine + 1, 0, ...newEntries.map(e => `    ${e}`));
-
       if (dryRun) {
         logger.info(`Would append to existing ${version} entry:`);
-        newEntries.forEach(e => console.log(chalk.gray(`    ${e}`)));
+        newEntries.forEach(e => console.log(chalk.gray(`    * ${e}`)));
       } else {
-        await writeFile(changelogPath, lines.join('\n'), 'utf-8');
+        await writeFile(changelogPath, renderChangelog(changelog), 'utf-8');
       }
 
       logger.success(`Appended ${newEntries.length} entry(s) to existing ${version} changelog`);
     } else {
       // Create new version entry
-      let newEntry = `${date} - version ${version}\n`;
-      for (const entry of formattedEntries) {
-        newEntry += `    ${entry}\n`;
-      }
-
-      // Find where to insert (after the header line)
-      let insertIndex = 0;
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].startsWith('***')) {
-          insertIndex = i + 1;
-          break;
-        }
-      }
-
-      // Insert new entry after header
-      lines.splice(insertIndex, 0, newEntry);
+      const release = addRelease(changelog, { version, entries: formattedEntries });
 
       if (dryRun) {
         logger.info('Would add new changelog entry:');
-        console.log(chalk.gray(newEntry));
+        console.log(chalk.gray(release.lines.join('\n')));
       } else {
-        await writeFile(changelogPath, lines.join('\n'), 'utf-8');
+        await writeFile(changelogPath, renderChangelog(changelog), 'utf-8');
       }
 
       logger.success('Added new changelog entry');
@@ -1,14 +1,17 @@
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { join, basename, dirname } from 'path';
+import { readFile, writeFile, mkdir, access, stat } from 'fs/promises';
+import { join, basename, dirname, relative } from 'path';
 import { glob } from 'glob';
 import CleanCSS from 'clean-css';
 import { logger } from '../utils/logger.js';
+import { formatBytes } from '../utils/format.js';
+import { hashContent } from '../utils/build-cache.js';
 
 /**
  * Minify CSS files in the project
  * Looks for .css files (excluding .min.css) and creates .min.css versions
+ * With a build cache, files whose content has not changed are not re-minified.
  */
-export async function minifyCssFiles(config, dryRun = false) {
+export async function minifyCssFiles(config, dryRun = false, cache = null) {
   const cssDir = config.cssPath || 'assets/css';
   const cssPath = join(process.cwd(), cssDir);
 
@@ -32,15 +35,37 @@ export async function minifyCssFiles(config, dryRun = false) {
 
   const spinner = logger.spinner(`Minifying ${files.length} CSS file(s)...`);
   const results = [];
+  const sourceMaps = config.cssSourceMaps === true;
   const cleanCss = new CleanCSS({
     level: 2,
-    sourceMap: false
+    sourceMap: sourceMaps,
+    sourceMapInlineSources: sourceMaps
   });
 
   try {
     for (const file of files) {
       const content = await readFile(file, 'utf-8');
-      const minified = cleanCss.minify(content);
+      const inputSourceMap = sourceMaps ? await readInputSourceMap(file) : undefined;
+      const minPath = file.replace(/\.css$/, '.min.css');
+      const cacheKey = `css:${relative(process.cwd(), file)}`;
+      const hash = hashContent(content, inputSourceMap || '', { level: 2, sourceMaps });
+      const outputs = sourceMaps ? [minPath, `${minPath}.map`] : [minPath];
+
+      if (cache && await cache.isFresh(cacheKey, hash, outputs)) {
+        const minifiedSize = (await stat(minPath)).size;
+        results.push({
+          file,
+          minFile: minPath,
+          success: true,
+          cached: true,
+          originalSize: content.length,
+          minifiedSize,
+          savings: Math.round((1 - minifiedSize / content.length) * 100)
+        });
+        continue;
+      }
+
+      const minified = cleanCss.minify(content, inputSourceMap);
 
       if (minified.errors.length > 0) {
         logger.warn(`Errors minifying ${basename(file)}: ${minified.errors.join(', ')}`);
@@ -49,8 +74,15 @@ export async function minifyCssFiles(config, dryRun = false) {
       }
 
       // Write minified version
-      const minPath = file.replace(/\.css$/, '.min.css');
-      await writeFile(minPath, minified.styles, 'utf-8');
+      let styles = minified.styles;
+
+      if (sourceMaps && minified.sourceMap) {
+        await writeFile(`${minPath}.map`, sourceMapJson(minified.sourceMap, file), 'utf-8');
+        styles += `\n/*# sourceMappingURL=${basename(minPath)}.map */`;
+      }
+
+      await writeFile(minPath, styles, 'utf-8');
+      cache?.update(cacheKey, hash);
 
       results.push({
         file,
@@ -63,10 +95,15 @@ export async function minifyCssFiles(config, dryRun = false) {
     }
 
     const successful = results.filter(r => r.success);
-    spinner.succeed(`Minified ${successful.length}/${files.length} CSS file(s)`);
+    const cached = results.filter(r => r.cached).length;
+    spinner.succeed(`Minified ${successful.length}/${files.length} CSS file(s)${cached > 0 ? ` (${cached} cached)` : ''}`);
 
-    // Show savings summary
+    // Show savings per file and in total
     if (successful.length > 0) {
+      for (const r of successful) {
+        logger.info(`  ${basename(r.file)}: ${r.savings}% (${formatBytes(r.originalSize)} → ${formatBytes(r.minifiedSize)})${r.cached ? ' (cached)' : ''}`);
+      }
+
       const totalOriginal = successful.reduce((sum, r) => sum + r.originalSize, 0);
       const totalMinified = successful.reduce((sum, r) => sum + r.minifiedSize, 0);
       const totalSavings = Math.round((1 - totalMinified / totalOriginal) * 100);
@@ -81,10 +118,25 @@ export async function minifyCssFiles(config, dryRun = false) {
 }
 
 /**
- * Format bytes to human readable string
+ * Read the source map of a compiled CSS file (e.g. style.css.map from SCSS)
+ * so the minified map points back at the original sources
+ */
+async function readInputSourceMap(file) {
+  try {
+    await access(`${file}.map`);
+    return await readFile(`${file}.map`, 'utf-8');
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Serialize a clean-css source map
+ * Input without its own map is named "$stdin"; point it at the CSS file instead.
  */
-function formatBytes(bytes) {
-  if (bytes < 1024) return `${bytes} B`;
-  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+function sourceMapJson(sourceMap, file) {
+  const map = sourceMap.toJSON();
+  map.sources = map.sources.map(source => (source === '$stdin' ? basename(file) : source));
+  map.file = basename(file).replace(/\.css$/, '.min.css');
+  return JSON.stringify(map);
 }
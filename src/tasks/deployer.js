@@ -1,7 +1,23 @@
 import { readFile } from 'fs/promises';
 import { join } from 'path';
 import { logger } from '../utils/logger.js';
-import { getCredentials } from '../utils/env-loader.js';
+import { getCredentials, getCredentialOptions } from '../utils/credential-store.js';
+import { isPrerelease } from '../utils/version-pattern.js';
+import { archiveReleaseZip } from './release-archive.js';
+
+/**
+ * Check that a version may be deployed to WooCommerce.com
+ * Pre-releases (2.4.0-beta.1) are refused unless allowPrereleaseDeploy is set.
+ *
+ * @returns {string|null} Error message, or null if the version is deployable
+ */
+export function checkDeployableVersion(config, version) {
+  if (isPrerelease(version) && !config.allowPrereleaseDeploy) {
+    return `${version} is a pre-release. WooCommerce.com would ship it to every customer. ` +
+      'Use --allow-prerelease or set "allowPrereleaseDeploy": true to deploy it anyway.';
+  }
+  return null;
+}
 
 /**
  * Deploy to WooCommerce.com
@@ -12,6 +28,11 @@ export async function deployToWooCommerce(config, version, dryRun = false) {
     return false;
   }
 
+  const versionError = checkDeployableVersion(config, version);
+  if (versionError) {
+    throw new Error(versionError);
+  }
+
   if (dryRun) {
     logger.info('Would deploy to WooCommerce.com');
     logger.info(`Product ID: ${config.productId}`);
@@ -22,7 +43,7 @@ export async function deployToWooCommerce(config, version, dryRun = false) {
   const spinner = logger.spinner('Deploying to WooCommerce.com...');
 
   try {
-    const credentials = getCredentials();
+    const credentials = await getCredentials(getCredentialOptions(config));
     const zipPath = await findZipFile(config);
 
     if (!zipPath) {
@@ -62,6 +83,16 @@ export async function deployToWooCommerce(config, version, dryRun = false) {
 
     spinner.succeed('Deployment initiated on WooCommerce.com');
 
+    // Keep the deployed zip for "es zip diff"; the deploy itself already went through
+    try {
+      const archived = await archiveReleaseZip(config, version, zipPath);
+      if (archived) {
+        logger.info(`Archived release: ${archived}`);
+      }
+    } catch (error) {
+      logger.warn(`Could not archive the release zip: ${error.message}`);
+    }
+
     logger.info(`Status: ${result.status || 'queued'}`);
 
     if (result.test_runs) {
@@ -91,7 +122,7 @@ export async function checkDeploymentStatus(config) {
   }
 
   try {
-    const credentials = getCredentials();
+    const credentials = await getCredentials(getCredentialOptions(config));
 
     const FormData = (await import('form-data')).default;
     const form = new FormData();
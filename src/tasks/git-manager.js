@@ -13,6 +13,22 @@ export async function checkGitStatus() {
   }
 }
 
+/**
+ * Files with uncommitted changes, relative to the repository root
+ *
+ * @returns {Promise<Array<{ path: string, untracked: boolean }>>}
+ */
+export async function getChangedFiles() {
+  try {
+    const { stdout } = await execa('git', ['status', '--porcelain']);
+    return stdout.split('\n')
+      .filter(line => line.trim())
+      .map(line => ({ path: line.slice(3), untracked: line.startsWith('??') }));
+  } catch (error) {
+    return [];
+  }
+}
+
 /**
  * Commit changes only (no tag, no push)
  * Used by deploy command - tagging happens after deployment succeeds
@@ -0,0 +1,117 @@
+import { readFile, writeFile, stat } from 'fs/promises';
+import { join, basename, relative } from 'path';
+import { glob } from 'glob';
+import { minify } from 'terser';
+import { logger } from '../utils/logger.js';
+import { formatBytes } from '../utils/format.js';
+import { hashContent } from '../utils/build-cache.js';
+
+/**
+ * Minify JavaScript files in the project
+ * Looks for .js files (excluding .min.js) and creates .min.js versions
+ * With a build cache, files whose content has not changed are not re-minified.
+ */
+export async function minifyJsFiles(config, dryRun = false, cache = null) {
+  const jsDir = config.jsPath || 'assets/js';
+  const jsPath = join(process.cwd(), jsDir);
+
+  // Find all JS files except already minified ones
+  const pattern = join(jsPath, '**/*.js').replace(/\\/g, '/');
+  const files = await glob(pattern, {
+    ignore: ['**/*.min.js'],
+    nodir: true
+  });
+
+  if (files.length === 0) {
+    logger.info(`No JS files found in ${jsDir}`);
+    return { success: true, files: [] };
+  }
+
+  if (dryRun) {
+    logger.info(`Would minify ${files.length} JS file(s):`);
+    files.forEach(f => logger.info(`  - ${basename(f)}`));
+    return { success: true, files, dryRun: true };
+  }
+
+  const spinner = logger.spinner(`Minifying ${files.length} JS file(s)...`);
+  const results = [];
+
+  try {
+    for (const file of files) {
+      const content = await readFile(file, 'utf-8');
+      const minPath = file.replace(/\.js$/, '.min.js');
+      const cacheKey = `js:${relative(process.cwd(), file)}`;
+      const hash = hashContent(content);
+
+      if (cache && await cache.isFresh(cacheKey, hash, [minPath])) {
+        const minifiedSize = (await stat(minPath)).size;
+        results.push({
+          file,
+          minFile: minPath,
+          success: true,
+          cached: true,
+          originalSize: content.length,
+          minifiedSize,
+          savings: content.length > 0 ? Math.round((1 - minifiedSize / content.length) * 100) : 0
+        });
+        continue;
+      }
+
+      let minified;
+      try {
+        minified = await minify(content, {
+          compress: true,
+          mangle: true,
+          sourceMap: false
+        });
+      } catch (error) {
+        // Terser reports syntax errors with a 1-based line and 0-based column
+        const location = error.line ? `:${error.line}:${error.col + 1}` : '';
+        results.push({ file, success: false, errors: [`${relative(process.cwd(), file)}${location} ${error.message}`] });
+        continue;
+      }
+
+      // Write minified version
+      await writeFile(minPath, minified.code, 'utf-8');
+      cache?.update(cacheKey, hash);
+
+      results.push({
+        file,
+        minFile: minPath,
+        success: true,
+        originalSize: content.length,
+        minifiedSize: minified.code.length,
+        savings: content.length > 0 ? Math.round((1 - minified.code.length / content.length) * 100) : 0
+      });
+    }
+
+    const successful = results.filter(r => r.success);
+    const failed = results.filter(r => !r.success);
+    const cached = results.filter(r => r.cached).length;
+    const summary = `Minified ${successful.length}/${files.length} JS file(s)${cached > 0 ? ` (${cached} cached)` : ''}`;
+
+    if (failed.length > 0) {
+      spinner.warn(summary);
+      failed.forEach(r => logger.error(`  ${r.errors.join(', ')}`));
+    } else {
+      spinner.succeed(summary);
+    }
+
+    // Show savings per file and in total
+    if (successful.length > 0) {
+      for (const r of successful) {
+        logger.info(`  ${basename(r.file)}: ${r.savings}% (${formatBytes(r.originalSize)} → ${formatBytes(r.minifiedSize)})${r.cached ? ' (cached)' : ''}`);
+      }
+
+      const totalOriginal = successful.reduce((sum, r) => sum + r.originalSize, 0);
+      const totalMinified = successful.reduce((sum, r) => sum + r.minifiedSize, 0);
+      const totalSavings = Math.round((1 - totalMinified / totalOriginal) * 100);
+      logger.info(`  Total savings: ${totalSavings}% (${formatBytes(totalOriginal)} → ${formatBytes(totalMinified)})`);
+    }
+
+    return { success: failed.length === 0, results };
+  } catch (error) {
+    spinner.fail('JS minification failed');
+    throw new Error(`JS minification failed: ${error.message}`);
+  }
+}
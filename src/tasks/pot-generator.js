@@ -1,7 +1,25 @@
 import { access, readFile, mkdir } from 'fs/promises';
 import { join, dirname } from 'path';
+import { glob } from 'glob';
 import wpPot from 'wp-pot';
 import { logger } from '../utils/logger.js';
+import { hashContent, hashFiles } from '../utils/build-cache.js';
+
+// Directories whose PHP files are not scanned for strings
+const POT_IGNORE = ['node_modules', 'vendor', 'dist', 'tests'];
+
+/**
+ * Hash every scanned PHP file (path and content)
+ */
+async function hashPhpSources() {
+  const files = (await glob('**/*.php', {
+    cwd: process.cwd(),
+    ignore: POT_IGNORE.map(dir => `${dir}/**`),
+    nodir: true
+  })).sort();
+
+  return hashFiles(process.cwd(), files);
+}
 
 /**
  * Extract text domain from main plugin file
@@ -71,7 +89,7 @@ async function getPluginInfo(mainFile) {
 /**
  * Generate POT file using wp-pot (pure Node.js, no WP-CLI needed)
  */
-export async function generatePotFile(config, dryRun = false) {
+export async function generatePotFile(config, dryRun = false, cache = null) {
   const textDomain = await getTextDomain(config.mainFile);
   const domainPath = await getDomainPath(config.mainFile);
   const pluginInfo = await getPluginInfo(config.mainFile);
@@ -90,6 +108,16 @@ export async function generatePotFile(config, dryRun = false) {
     return true;
   }
 
+  // With a build cache, skip regeneration when no PHP source changed
+  let hash = null;
+  if (cache) {
+    hash = hashContent(await hashPhpSources(), { textDomain, pluginInfo, slug: config.slug, bugReport: config.bugReportUrl || '' });
+    if (await cache.isFresh('pot', hash, [potFile])) {
+      logger.success(`POT file up to date: ${textDomain}.pot (cached)`);
+      return true;
+    }
+  }
+
   const spinner = logger.spinner('Generating POT file...');
 
   try {
@@ -103,16 +131,14 @@ export async function generatePotFile(config, dryRun = false) {
       package: pluginInfo.name || config.slug,
       src: [
         join(process.cwd(), '**/*.php'),
-        '!' + join(process.cwd(), 'node_modules/**'),
-        '!' + join(process.cwd(), 'vendor/**'),
-        '!' + join(process.cwd(), 'dist/**'),
-        '!' + join(process.cwd(), 'tests/**')
+        ...POT_IGNORE.map(dir => '!' + join(process.cwd(), `${dir}/**`))
       ],
       bugReport: config.bugReportUrl || '',
       lastTranslator: pluginInfo.author || '',
       team: pluginInfo.author || ''
     });
 
+    cache?.update('pot', hash);
     spinner.succeed(`POT file generated: ${textDomain}.pot`);
     return true;
   } catch (error) {
@@ -0,0 +1,87 @@
+import { copyFile, mkdir, readdir, stat } from 'fs/promises';
+import { homedir } from 'os';
+import { dirname, join, resolve } from 'path';
+import semver from 'semver';
+import { escapeRegex } from '../utils/version-pattern.js';
+import { previousZipPath } from './zip-builder.js';
+
+/**
+ * Absolute path of the releases archive, or null if releasesPath is not set
+ * "~/" is the home directory; other relative paths start at the project root.
+ */
+export function releasesDirectory(config) {
+  if (!config.releasesPath) {
+    return null;
+  }
+  if (config.releasesPath.startsWith('~/')) {
+    return join(homedir(), config.releasesPath.slice(2));
+  }
+  return resolve(process.cwd(), config.releasesPath);
+}
+
+/**
+ * Keep a deployed zip as the baseline for the next comparison
+ * It replaces distPath/previous/<slug>.zip and, when releasesPath is set, is
+ * also copied into the releases archive as <slug>-<version>.zip.
+ *
+ * @returns {Promise<string|null>} Archived path, or null if releasesPath is not set
+ */
+export async function archiveReleaseZip(config, version, zipPath) {
+  const previous = previousZipPath(config);
+  await mkdir(dirname(previous), { recursive: true });
+  await copyFile(zipPath, previous);
+
+  const dir = releasesDirectory(config);
+  if (!dir) {
+    return null;
+  }
+
+  const dest = join(dir, `${config.slug}-${version}.zip`);
+  await mkdir(dir, { recursive: true });
+  await copyFile(zipPath, dest);
+  return dest;
+}
+
+/**
+ * Zips in the releases archive, newest version first
+ *
+ * @returns {Promise<Array<{ version: string, path: string }>>}
+ */
+export async function listArchivedReleases(config) {
+  const dir = releasesDirectory(config);
+  if (!dir) {
+    return [];
+  }
+
+  const pattern = new RegExp(`^${escapeRegex(config.slug)}-(.+)\\.zip$`);
+  const files = await readdir(dir).catch(() => []);
+
+  return files
+    .map(file => ({ version: pattern.exec(file)?.[1], path: join(dir, file) }))
+    .filter(release => release.version && semver.valid(release.version))
+    .sort((a, b) => semver.rcompare(a.version, b.version));
+}
+
+/**
+ * The zip to compare a new build with
+ *
+ * 1. The newest archived release, up to `version` (the version being built) if given
+ * 2. The zip the last deploy shipped (distPath/previous/)
+ *
+ * @returns {Promise<{ path: string, label: string }|null>}
+ */
+export async function findBaselineZip(config, version) {
+  const releases = await listArchivedReleases(config);
+  const release = releases.find(r => !version || semver.lte(r.version, version));
+
+  if (release) {
+    return { path: release.path, label: `${release.version} from the releases archive` };
+  }
+
+  const previous = previousZipPath(config);
+  if (await stat(previous).catch(() => null)) {
+    return { path: previous, label: 'the last deployed zip' };
+  }
+
+  return null;
+}
@@ -0,0 +1,107 @@
+import { writeFile, mkdir } from 'fs/promises';
+import { join, basename, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import { glob } from 'glob';
+import * as sass from 'sass';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Location of a Sass exception as "file:line:column"
+ * The span points at the file that failed, which may be a partial.
+ */
+function errorLocation(error, file) {
+  const span = error.span;
+  const source = span && span.url ? fileURLToPath(span.url) : file;
+  const position = span ? `:${span.start.line + 1}:${span.start.column + 1}` : '';
+  return `${relative(process.cwd(), source)}${position}`;
+}
+
+/**
+ * Make source map paths relative to the map file
+ */
+function relativeSourceMap(sourceMap, mapPath) {
+  return {
+    ...sourceMap,
+    sources: sourceMap.sources.map(source => source.startsWith('file:')
+      ? relative(dirname(mapPath), fileURLToPath(source)).replace(/\\/g, '/')
+      : source)
+  };
+}
+
+/**
+ * Compile SCSS entry files to CSS
+ * Every .scss file in scssPath that is not a partial (_name.scss) is an entry;
+ * assets/scss/admin/settings.scss compiles to assets/css/admin/settings.css.
+ */
+export async function compileScssFiles(config, dryRun = false) {
+  const scssDir = config.scssPath || 'assets/scss';
+  const cssDir = config.cssPath || 'assets/css';
+  const scssPath = join(process.cwd(), scssDir);
+  const cssPath = join(process.cwd(), cssDir);
+
+  // Find entry files; partials are only compiled through @use/@import
+  const pattern = join(scssPath, '**/*.scss').replace(/\\/g, '/');
+  const files = (await glob(pattern, {
+    ignore: ['**/_*.scss'],
+    nodir: true
+  })).sort();
+
+  if (files.length === 0) {
+    logger.info(`No SCSS files found in ${scssDir}`);
+    return { success: true, files: [] };
+  }
+
+  const outputFor = file => join(cssPath, relative(scssPath, file)).replace(/\.scss$/, '.css');
+
+  if (dryRun) {
+    logger.info(`Would compile ${files.length} SCSS file(s):`);
+    files.forEach(f => logger.info(`  - ${relative(scssPath, f)} → ${relative(process.cwd(), outputFor(f))}`));
+    return { success: true, files, dryRun: true };
+  }
+
+  const spinner = logger.spinner(`Compiling ${files.length} SCSS file(s)...`);
+  const sourceMaps = config.scssSourceMaps === true;
+  const results = [];
+
+  for (const file of files) {
+    const cssFile = outputFor(file);
+
+    let compiled;
+    try {
+      compiled = sass.compile(file, {
+        style: 'expanded',
+        loadPaths: [scssPath],
+        sourceMap: sourceMaps,
+        sourceMapIncludeSources: sourceMaps
+      });
+    } catch (error) {
+      const message = error.sassMessage || error.message;
+      results.push({ file, success: false, errors: [`${errorLocation(error, file)} ${message}`] });
+      continue;
+    }
+
+    await mkdir(dirname(cssFile), { recursive: true });
+
+    let css = compiled.css;
+    if (sourceMaps && compiled.sourceMap) {
+      const mapFile = `${cssFile}.map`;
+      await writeFile(mapFile, JSON.stringify(relativeSourceMap(compiled.sourceMap, mapFile)), 'utf-8');
+      css += `\n\n/*# sourceMappingURL=${basename(mapFile)} */`;
+    }
+
+    await writeFile(cssFile, css + '\n', 'utf-8');
+    results.push({ file, cssFile, success: true });
+  }
+
+  const successful = results.filter(r => r.success);
+  const failed = results.filter(r => !r.success);
+
+  if (failed.length > 0) {
+    spinner.fail(`Compiled ${successful.length}/${files.length} SCSS file(s)`);
+    failed.forEach(r => logger.error(`  ${r.errors.join(', ')}`));
+  } else {
+    spinner.succeed(`Compiled ${successful.length}/${files.length} SCSS file(s)${sourceMaps ? ' with source maps' : ''}`);
+  }
+
+  return { success: failed.length === 0, results };
+}
@@ -0,0 +1,82 @@
+import { readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import chalk from 'chalk';
+import { logger } from '../utils/logger.js';
+import { escapeRegex } from '../utils/version-pattern.js';
+import { listDistributionFiles } from './zip-builder.js';
+
+// Placeholders written in "@since" tags for unreleased code
+export const DEFAULT_SINCE_PLACEHOLDERS = ['x.x.x', 'NEXT'];
+
+// Source files that carry docblocks (minified files are skipped)
+const SOURCE_EXTENSIONS = /\.(php|js|jsx|mjs|ts|tsx)$/;
+
+/**
+ * Build a regex matching "@since <placeholder>" for the configured placeholders
+ */
+function placeholderRegex(config) {
+  const placeholders = config.sincePlaceholders || DEFAULT_SINCE_PLACEHOLDERS;
+  const alternatives = placeholders.map(escapeRegex).join('|');
+  return new RegExp(`(@since\\s+)(${alternatives})(?![\\w.])`, 'g');
+}
+
+/**
+ * Find "@since x.x.x" placeholders in PHP and JS files that ship in the zip
+ *
+ * @returns {Promise<Array<{ file: string, line: number, placeholder: string }>>}
+ */
+export async function findSincePlaceholders(config) {
+  const files = (await listDistributionFiles(process.cwd(), config))
+    .filter(file => SOURCE_EXTENSIONS.test(file) && !/\.min\.[a-z]+$/.test(file));
+
+  const regex = placeholderRegex(config);
+  const found = [];
+
+  for (const file of files) {
+    const content = await readFile(join(process.cwd(), file), 'utf-8');
+    const lines = content.split('\n');
+
+    lines.forEach((line, index) => {
+      for (const match of line.matchAll(regex)) {
+        found.push({ file, line: index + 1, placeholder: match[2] });
+      }
+    });
+  }
+
+  return found;
+}
+
+/**
+ * Replace "@since x.x.x" placeholders with the release version
+ * Every replacement is listed.
+ *
+ * @returns {Promise<Array<{ file: string, line: number, placeholder: string }>>}
+ */
+export async function replaceSincePlaceholders(config, version, dryRun = false) {
+  const found = await findSincePlaceholders(config);
+
+  if (found.length === 0) {
+    logger.info('No @since placeholders found');
+    return found;
+  }
+
+  const regex = placeholderRegex(config);
+  const files = [...new Set(found.map(f => f.file))];
+
+  if (!dryRun) {
+    for (const file of files) {
+      const path = join(process.cwd(), file);
+      const content = await readFile(path, 'utf-8');
+      await writeFile(path, content.replace(regex, `$1${version}`), 'utf-8');
+    }
+  }
+
+  for (const { file, line, placeholder } of found) {
+    console.log(chalk.gray(`    ${file}:${line}  @since ${placeholder} → @since ${version}`));
+  }
+
+  const verb = dryRun ? 'Would replace' : 'Replaced';
+  logger.success(`${verb} ${found.length} @since placeholder(s) in ${files.length} file(s)`);
+
+  return found;
+}
@@ -1,13 +1,7 @@
 import { readFile, writeFile } from 'fs/promises';
 import { join } from 'path';
 import { logger } from '../utils/logger.js';
-
-/**
- * Escape special regex characters in a string
- */
-function escapeRegex(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
+import { VERSION_PATTERN, escapeRegex } from '../utils/version-pattern.js';
 
 /**
  * Update version in all configured files
@@ -31,11 +25,12 @@ export async function updateVersionInFiles(config, newVersion, dryRun = false) {
       // Escape the literal parts and build regex
       const beforeVersion = escapeRegex(parts[0]);
       const afterVersion = escapeRegex(parts[1]);
-      const pattern = beforeVersion + '[0-9]+\\.[0-9]+\\.[0-9]+' + afterVersion;
+      const pattern = beforeVersion + VERSION_PATTERN + afterVersion;
 
       const replacement = versionFile.pattern.replace('{{version}}', newVersion);
       const regex = new RegExp(pattern, 'g');
-      const newContent = content.replace(regex, replacement);
+      // Function replacement so "$" in the pattern is never treated as a backreference
+      const newContent = content.replace(regex, () => replacement);
 
       if (content === newContent) {
         logger.warn(`No version pattern found in ${versionFile.file}`);
@@ -62,6 +57,16 @@ export async function updateVersionInFiles(config, newVersion, dryRun = false) {
  * Extract current version from a file
  */
 export async function extractVersionFromFile(filePath, pattern) {
+  const found = await locateVersionInFile(filePath, pattern);
+  return found ? found.version : null;
+}
+
+/**
+ * Find the version matched by a {{version}} pattern, with its line number
+ *
+ * @returns {Promise<{ version: string, line: number }|null>}
+ */
+export async function locateVersionInFile(filePath, pattern) {
   try {
     const content = await readFile(filePath, 'utf-8');
 
@@ -71,11 +76,16 @@ export async function extractVersionFromFile(filePath, pattern) {
 
     const beforeVersion = escapeRegex(parts[0]);
     const afterVersion = escapeRegex(parts[1]);
-    const regexPattern = beforeVersion + '([0-9]+\\.[0-9]+\\.[0-9]+)' + afterVersion;
+    const regexPattern = beforeVersion + `(${VERSION_PATTERN})` + afterVersion;
 
     const regex = new RegExp(regexPattern);
     const match = content.match(regex);
-    return match ? match[1] : null;
+    if (!match) return null;
+
+    return {
+      version: match[1],
+      line: content.slice(0, match.index + parts[0].length).split('\n').length
+    };
   } catch (error) {
     return null;
   }
@@ -1,87 +1,192 @@
-import { mkdir, rm, cp, readdir, stat, writeFile } from 'fs/promises';
-import { join, basename } from 'path';
+import { mkdir, rm, cp, readdir, stat, writeFile, readFile } from 'fs/promises';
+import { join, basename, relative, resolve } from 'path';
 import { createWriteStream, createReadStream } from 'fs';
 import archiver from 'archiver';
+import chalk from 'chalk';
 import { logger } from '../utils/logger.js';
+import { hashContent, hashFiles, BUILD_CACHE_DIR } from '../utils/build-cache.js';
+import { mapConcurrent, defaultConcurrency } from '../utils/task-graph.js';
+import {
+  parseIgnoreRule,
+  parseIgnoreFile,
+  parseExportIgnore,
+  matchingRules,
+  testIgnoreRules
+} from '../utils/ignore-rules.js';
+import { DEFAULT_EXCLUDE_PATTERNS } from '../utils/zip-excludes.js';
 
-const DEFAULT_EXCLUDE = [
-  // Build/dev folders
-  'node_modules',
-  'dist',
-  'tests',
-  'test',
-  'grunt',
-  'build',
-  // Config/lock files
-  'phpcs.xml',
-  'phpcs.xml.dist',
-  'composer.json',
-  'composer.lock',
-  'package.json',
-  'package-lock.json',
-  'Gruntfile.js',
-  'gulpfile.js',
-  'webpack.config.js',
-  // Documentation
-  'README.md',
-  'readme.md',
-  'CHANGELOG.md',
-  'CONTRIBUTING.md',
-  'LICENSE.md',
-  // Misc
-  'Thumbs.db'
-];
-
-// Patterns that use glob syntax (separate for proper handling)
-const GLOB_EXCLUDE = [
-  '*.map',
-  '*.old'
-];
+// A deploy copies the zip it shipped into this folder of distPath, for "es zip diff"
+export const PREVIOUS_ZIP_DIR = 'previous';
+
+// Never shipped, whatever include or disableDefaultExcludes say (distPath is added too)
+const ALWAYS_EXCLUDE = ['.git', BUILD_CACHE_DIR];
 
 /**
- * Convert a simple glob pattern to regex
- * Properly escapes special regex characters except *
+ * Read a file from the project root, or '' if it does not exist
  */
-function globToRegex(pattern) {
-  // Escape all special regex chars except *
-  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-  // Convert * to .*
-  const regexStr = escaped.replace(/\*/g, '.*');
-  return new RegExp('^' + regexStr + '$');
+async function readOptionalFile(rootDir, file) {
+  try {
+    return await readFile(join(rootDir, file), 'utf-8');
+  } catch (error) {
+    return '';
+  }
 }
 
 /**
- * Check if file/directory should be excluded
+ * Rules for one "include" entry, given the rules before it
+ *
+ * A file inside an excluded directory cannot be re-included on its own, so
+ * for "blocks/build/index.js" an excluded "blocks/build" is re-opened with
+ * only the included path let back in (the .gitignore "!dir/", "dir/*" idiom).
  */
-function shouldExclude(path, excludeList) {
-  const fullExclude = [...DEFAULT_EXCLUDE, ...(excludeList || [])];
-  const globPatterns = [...GLOB_EXCLUDE, ...(excludeList || []).filter(p => p.includes('*'))];
-  const itemName = basename(path);
-
-  // Always exclude dotfiles (files/folders starting with .)
-  if (itemName.startsWith('.')) {
-    return true;
+function includeRules(rules, pattern, source) {
+  const segments = pattern.replace(/^\//, '').replace(/\/+$/, '').split('/');
+  const added = [];
+
+  for (let i = 1; i < segments.length && !/[*?[]/.test(segments[i - 1]); i++) {
+    const dir = segments.slice(0, i).join('/');
+    if (testIgnoreRules([...rules, ...added], dir, true).excluded) {
+      added.push(parseIgnoreRule(`!/${dir}/`, source), parseIgnoreRule(`/${dir}/*`, source));
+    }
   }
 
-  // Check exact matches first
-  if (fullExclude.some(pattern => {
-    if (pattern.includes('*')) return false; // Skip glob patterns here
-    return itemName === pattern || path.includes(`/${pattern}/`) || path.endsWith(`/${pattern}`);
-  })) {
-    return true;
+  added.push(parseIgnoreRule(`!${pattern}`, source));
+  return added;
+}
+
+/**
+ * Collect the rules that decide what goes into the zip, lowest priority first
+ *
+ * 1. Built-in defaults (DEFAULT_EXCLUDE_PATTERNS minus disableDefaultExcludes)
+ * 2. includeSourceMaps re-includes *.map
+ * 3. export-ignore entries in .gitattributes
+ * 4. .distignore
+ * 5. "exclude" in .deployrc.json
+ * 6. "include" in .deployrc.json
+ * 7. .git, the build cache and distPath, which are never shipped
+ *
+ * The last matching rule wins, so later sources can re-include with "!".
+ */
+export async function loadDistributionRules(rootDir, config) {
+  const distDir = (config.distPath || './dist').replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+  const disabled = config.disableDefaultExcludes === true
+    ? DEFAULT_EXCLUDE_PATTERNS
+    : config.disableDefaultExcludes || [];
+
+  const rules = DEFAULT_EXCLUDE_PATTERNS
+    .filter(pattern => !disabled.includes(pattern))
+    .map(pattern => parseIgnoreRule(pattern, 'default'));
+
+  if (config.includeSourceMaps === true) {
+    rules.push(parseIgnoreRule('!*.map', 'includeSourceMaps'));
   }
 
-  // Check glob patterns
-  return globPatterns.some(pattern => {
-    const regex = globToRegex(pattern);
-    return regex.test(itemName);
+  rules.push(...parseExportIgnore(await readOptionalFile(rootDir, '.gitattributes')));
+  rules.push(...parseIgnoreFile(await readOptionalFile(rootDir, '.distignore'), '.distignore'));
+
+  (config.exclude || []).forEach((pattern, index) => {
+    const rule = parseIgnoreRule(pattern, `exclude[${index}]`);
+    if (rule) rules.push(rule);
   });
+
+  (config.include || []).forEach((pattern, index) => {
+    rules.push(...includeRules(rules, pattern, `include[${index}]`));
+  });
+
+  rules.push(...ALWAYS_EXCLUDE.map(pattern => parseIgnoreRule(pattern, 'always')));
+  rules.push(parseIgnoreRule(`/${distDir}/`, 'distPath'));
+
+  return rules.filter(Boolean);
+}
+
+/**
+ * Print the rules in the order they apply, for dry runs
+ * The built-in defaults are listed on one line.
+ */
+function printDistributionRules(rules) {
+  const defaults = rules.filter(rule => rule.source === 'default');
+
+  logger.info('Zip rules (the last matching rule wins):');
+  if (defaults.length > 0) {
+    console.log(`    ${chalk.red('exclude')}  ${defaults.map(rule => rule.pattern).join(', ')} ${chalk.gray('(default)')}`);
+  }
+  for (const rule of rules.filter(rule => rule.source !== 'default')) {
+    console.log(`    ${rule.negate ? chalk.green('include') : chalk.red('exclude')}  ${rule.pattern} ${chalk.gray(`(${rule.source})`)}`);
+  }
+}
+
+/**
+ * Explain why a path is or is not in the zip
+ * A path inside an excluded directory is excluded whatever its own rules say,
+ * because the directory is never entered (as with git).
+ *
+ * @param {string} path - Relative to rootDir
+ * @returns {Promise<{ path: string, isDir: boolean, excluded: boolean, rule: object|null, matches: Array<object>, excludedDir: { path: string, rule: object }|null }>}
+ */
+export async function explainDistributionPath(rootDir, config, path) {
+  const rules = await loadDistributionRules(rootDir, config);
+  const relativePath = relative(rootDir, resolve(rootDir, path)).replace(/\\/g, '/');
+
+  let isDir = path.endsWith('/');
+  try {
+    isDir = (await stat(join(rootDir, relativePath))).isDirectory();
+  } catch (error) {
+    // Path does not exist; go by the trailing slash
+  }
+
+  const segments = relativePath.split('/');
+  for (let i = 1; i < segments.length; i++) {
+    const dir = segments.slice(0, i).join('/');
+    const result = testIgnoreRules(rules, dir, true);
+    if (result.excluded) {
+      return {
+        path: relativePath,
+        isDir,
+        excluded: true,
+        rule: result.rule,
+        matches: matchingRules(rules, relativePath, isDir),
+        excludedDir: { path: dir, rule: result.rule }
+      };
+    }
+  }
+
+  const { excluded, rule } = testIgnoreRules(rules, relativePath, isDir);
+
+  return {
+    path: relativePath,
+    isDir,
+    excluded,
+    rule,
+    matches: matchingRules(rules, relativePath, isDir),
+    excludedDir: null
+  };
+}
+
+/**
+ * Path of the zip the last deploy shipped
+ */
+export function previousZipPath(config) {
+  return join(process.cwd(), config.distPath || './dist', PREVIOUS_ZIP_DIR, `${config.slug}.zip`);
+}
+
+/**
+ * Empty the dist directory, keeping previous/ (the last deployed zip)
+ * Builds never replace it; comparing with a build of the same tree would hide every change.
+ */
+async function cleanDistDirectory(distPath) {
+  const entries = await readdir(distPath).catch(() => []);
+  for (const entry of entries) {
+    if (entry !== PREVIOUS_ZIP_DIR) {
+      await rm(join(distPath, entry), { recursive: true, force: true });
+    }
+  }
 }
 
 /**
  * Build distribution zip file
+ * With a build cache, the zip is kept when no distributed file changed.
  */
-export async function buildDistributionZip(config, version, dryRun = false) {
+export async function buildDistributionZip(config, version, dryRun = false, cache = null) {
   const slug = config.slug;
   const distPath = join(process.cwd(), config.distPath || './dist');
   const tempPath = join(distPath, 'temp', slug);
@@ -89,19 +194,31 @@ export async function buildDistributionZip(config, version, dryRun = false) {
 
   if (dryRun) {
     logger.info(`Would create zip: ${zipPath}`);
+    printDistributionRules(await loadDistributionRules(process.cwd(), config));
+    logger.info(`${(await listDistributionFiles(process.cwd(), config)).length} file(s) would be zipped`);
     return { success: true, zipPath, dryRun: true };
   }
 
+  let hash = null;
+  if (cache) {
+    const { files, directories } = await walkDistribution(process.cwd(), config);
+    hash = hashContent(slug, directories, await hashFiles(process.cwd(), files));
+    if (await cache.isFresh('zip', hash, [zipPath])) {
+      logger.success(`Distribution package up to date: ${basename(zipPath)} (cached)`);
+      return { success: true, zipPath, cached: true };
+    }
+  }
+
   const spinner = logger.spinner('Building distribution package...');
 
   try {
     // Clean and create directories
     logger.info('Cleaning dist directory...');
-    await rm(distPath, { recursive: true, force: true });
+    await cleanDistDirectory(distPath);
     await mkdir(tempPath, { recursive: true });
 
     // Copy files to temp directory
-    await copyDirectory(process.cwd(), tempPath, config.exclude || []);
+    await copyDirectory(process.cwd(), tempPath, config, config.build?.concurrency || defaultConcurrency());
 
     // Create zip file
     await createZip(tempPath, zipPath, slug);
@@ -109,6 +226,7 @@ export async function buildDistributionZip(config, version, dryRun = false) {
     // Clean up temp
     await rm(join(distPath, 'temp'), { recursive: true, force: true });
 
+    cache?.update('zip', hash);
     spinner.succeed(`Distribution package created: ${basename(zipPath)}`);
 
     return { success: true, zipPath };
@@ -119,28 +237,64 @@ export async function buildDistributionZip(config, version, dryRun = false) {
 }
 
 /**
- * Copy directory recursively, excluding specified patterns
+ * Copy the files and directories that go into the zip (see loadDistributionRules)
+ * Files are copied up to `concurrency` at a time.
  */
-async function copyDirectory(src, dest, excludeList = []) {
+async function copyDirectory(src, dest, config, concurrency = 1) {
+  const { files, directories } = await walkDistribution(src, config);
+
   await mkdir(dest, { recursive: true });
+  for (const dir of directories) {
+    await mkdir(join(dest, dir), { recursive: true });
+  }
 
-  const entries = await readdir(src, { withFileTypes: true });
+  await mapConcurrent(files, concurrency, file => cp(join(src, file), join(dest, file)));
+}
 
-  for (const entry of entries) {
-    const srcPath = join(src, entry.name);
-    const destPath = join(dest, entry.name);
+/**
+ * Walk rootDir with the zip build's exclusions
+ * Directories are listed too, so one left empty by the excludes (e.g.
+ * languages/ with only a .gitkeep) still ships.
+ *
+ * @returns {Promise<{ files: string[], directories: string[] }>} Paths relative to rootDir
+ */
+async function walkDistribution(rootDir, config) {
+  const rules = await loadDistributionRules(rootDir, config);
+  const files = [];
+  const directories = [];
 
-    // Skip excluded files/directories
-    if (shouldExclude(srcPath, excludeList)) {
-      continue;
-    }
+  async function walk(dir, prefix) {
+    const entries = await readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+      const srcPath = join(dir, entry.name);
 
-    if (entry.isDirectory()) {
-      await copyDirectory(srcPath, destPath, excludeList);
-    } else {
-      await cp(srcPath, destPath);
+      // Excluded directories are not entered, so their files cannot be re-included
+      if (testIgnoreRules(rules, `${prefix}${entry.name}`, entry.isDirectory()).excluded) {
+        continue;
+      }
+
+      if (entry.isDirectory()) {
+        directories.push(`${prefix}${entry.name}`);
+        await walk(srcPath, `${prefix}${entry.name}/`);
+      } else {
+        files.push(`${prefix}${entry.name}`);
+      }
     }
   }
+
+  await walk(rootDir, '');
+  return { files: files.sort(), directories: directories.sort() };
+}
+
+/**
+ * List files that would be copied into the zip, relative to rootDir
+ * Applies the same exclusions as the zip build.
+ *
+ * @returns {Promise<string[]>}
+ */
+export async function listDistributionFiles(rootDir, config) {
+  return (await walkDistribution(rootDir, config)).files;
 }
 
 /**
@@ -0,0 +1,119 @@
+import { stat } from 'fs/promises';
+import { dirname } from 'path';
+import { readZipEntries } from '../utils/zip-reader.js';
+import { formatBytes, parseSizeLimit } from '../utils/format.js';
+
+/**
+ * Read the files of a zip, keyed by path inside the plugin folder
+ * The common top-level folder is dropped, so zips built with another slug still line up.
+ */
+async function readZipFiles(zipPath) {
+  const entries = (await readZipEntries(zipPath)).filter(entry => !entry.isDir);
+  const top = entries[0]?.name.split('/')[0];
+  const prefix = top && entries.every(entry => entry.name.startsWith(`${top}/`)) ? `${top}/` : '';
+
+  return new Map(entries.map(entry => [entry.name.slice(prefix.length), entry]));
+}
+
+/**
+ * Directories that hold files, e.g. "vendor/" and "vendor/acme/"
+ */
+function directoriesOf(paths) {
+  const dirs = new Set();
+  for (const path of paths) {
+    for (let dir = dirname(path); dir !== '.'; dir = dirname(dir)) {
+      dirs.add(dir);
+    }
+  }
+  return dirs;
+}
+
+/**
+ * Directories in `dirs` that are missing from `other`, without their subdirectories
+ */
+function topLevelOnly(dirs, other) {
+  const missing = [...dirs].filter(dir => !other.has(dir));
+  const set = new Set(missing);
+  return missing
+    .filter(dir => !set.has(dirname(dir)))
+    .sort();
+}
+
+/**
+ * Total size of the files under a directory
+ */
+function directorySummary(dir, files) {
+  const inside = [...files.entries()].filter(([path]) => path.startsWith(`${dir}/`));
+  return { path: `${dir}/`, files: inside.length, size: inside.reduce((sum, [, entry]) => sum + entry.size, 0) };
+}
+
+/**
+ * Compare two distribution zips
+ * A file counts as changed when its size or CRC-32 differs; nothing is unpacked.
+ */
+export async function diffZips(oldPath, newPath) {
+  const [oldFiles, newFiles] = await Promise.all([readZipFiles(oldPath), readZipFiles(newPath)]);
+  const [oldStat, newStat] = await Promise.all([stat(oldPath), stat(newPath)]);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [path, entry] of newFiles) {
+    const before = oldFiles.get(path);
+    if (!before) {
+      added.push({ path, size: entry.size });
+    } else if (before.size !== entry.size || before.crc32 !== entry.crc32) {
+      changed.push({ path, oldSize: before.size, newSize: entry.size, delta: entry.size - before.size });
+    }
+  }
+
+  for (const [path, entry] of oldFiles) {
+    if (!newFiles.has(path)) {
+      removed.push({ path, size: entry.size });
+    }
+  }
+
+  const oldDirs = directoriesOf(oldFiles.keys());
+  const newDirs = directoriesOf(newFiles.keys());
+  const unpacked = files => [...files.values()].reduce((sum, entry) => sum + entry.size, 0);
+  const byPath = (a, b) => a.path.localeCompare(b.path);
+
+  return {
+    old: { path: oldPath, size: oldStat.size, files: oldFiles.size, unpackedSize: unpacked(oldFiles) },
+    new: { path: newPath, size: newStat.size, files: newFiles.size, unpackedSize: unpacked(newFiles) },
+    added: added.sort(byPath),
+    removed: removed.sort(byPath),
+    changed: changed.sort(byPath),
+    addedDirectories: topLevelOnly(newDirs, oldDirs).map(dir => directorySummary(dir, newFiles)),
+    removedDirectories: topLevelOnly(oldDirs, newDirs).map(dir => directorySummary(dir, oldFiles)),
+    sizeDelta: newStat.size - oldStat.size,
+    sizeDeltaPercent: oldStat.size > 0 ? ((newStat.size - oldStat.size) / oldStat.size) * 100 : 0
+  };
+}
+
+/**
+ * Check the zip size change against zipSizeThreshold ({ grow, shrink })
+ *
+ * @returns {string|null} Why the change is too large, or null if it is within the limits
+ */
+export function checkSizeThreshold(diff, threshold = {}) {
+  const direction = diff.sizeDelta > 0 ? 'grow' : 'shrink';
+  const limit = parseSizeLimit(threshold[direction] ?? '');
+
+  if (diff.sizeDelta === 0 || !limit) {
+    return null;
+  }
+
+  const bytes = Math.abs(diff.sizeDelta);
+  const percent = Math.abs(diff.sizeDeltaPercent);
+  const exceeded = limit.percent !== undefined ? percent > limit.percent : bytes > limit.bytes;
+
+  if (!exceeded) {
+    return null;
+  }
+
+  const verb = direction === 'grow' ? 'grew' : 'shrank';
+  return `The zip ${verb} by ${formatBytes(bytes)} (${percent.toFixed(1)}%), ` +
+    `more than zipSizeThreshold.${direction} (${threshold[direction]})`;
+}
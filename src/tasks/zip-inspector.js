@@ -0,0 +1,143 @@
+import { stat } from 'fs/promises';
+import { basename, dirname } from 'path';
+import { readZipEntries } from '../utils/zip-reader.js';
+
+// Entries listed under "Largest files" and "Largest directories"
+const TOP_COUNT = 10;
+
+/**
+ * Directories that should never ship; everything below one is reported once
+ */
+const UNEXPECTED_DIRS = {
+  '.git': 'Git repository data',
+  '.svn': 'Subversion metadata',
+  node_modules: 'Node.js dependencies',
+  tests: 'Test files',
+  test: 'Test files',
+  __tests__: 'Test files',
+  fixtures: 'Test fixtures'
+};
+
+/**
+ * Files that should never ship: [test, reason]
+ */
+const UNEXPECTED_FILES = [
+  [name => name === '.env' || name.startsWith('.env.'), 'Environment file (may contain secrets)'],
+  [name => /\.sql(\.gz|\.zip)?$/i.test(name), 'Database dump'],
+  [name => /^phpunit\.xml(\.dist)?$/.test(name), 'Test configuration'],
+  [name => name === '.DS_Store' || name === 'Thumbs.db', 'OS metadata file'],
+  [name => name.endsWith('.log'), 'Log file']
+];
+
+/**
+ * Share of the size saved by compression, 0 to 1
+ */
+function savedRatio(size, compressedSize) {
+  return size > 0 ? 1 - compressedSize / size : 0;
+}
+
+/**
+ * Check the files of a zip for content that should not ship
+ * Paths are relative to the plugin folder.
+ *
+ * @returns {Array<{ path: string, reason: string, files: number, size: number }>}
+ */
+export function findUnexpectedContent(files) {
+  const warnings = new Map();
+  const paths = new Set(files.map(file => file.path));
+
+  const flag = (path, reason, file) => {
+    const warning = warnings.get(path) || { path, reason, files: 0, size: 0 };
+    warning.files++;
+    warning.size += file.size;
+    warnings.set(path, warning);
+  };
+
+  for (const file of files) {
+    const segments = file.path.split('/');
+    const name = segments[segments.length - 1];
+    const dirIndex = segments.slice(0, -1).findIndex(segment => UNEXPECTED_DIRS[segment]);
+
+    if (dirIndex !== -1) {
+      flag(`${segments.slice(0, dirIndex + 1).join('/')}/`, UNEXPECTED_DIRS[segments[dirIndex]], file);
+      continue;
+    }
+
+    const match = UNEXPECTED_FILES.find(([test]) => test(name));
+    if (match) {
+      flag(file.path, match[1], file);
+      continue;
+    }
+
+    const minified = file.path.replace(/\.(js|css)$/, '.min.$1');
+    if (minified !== file.path && !/\.min\.(js|css)$/.test(file.path) && paths.has(minified)) {
+      flag(file.path, `Unminified source next to ${basename(minified)}`, file);
+    }
+  }
+
+  return [...warnings.values()];
+}
+
+/**
+ * Inspect a distribution zip
+ *
+ * Every file is expected inside a "<slug>/" folder; anything else is flagged.
+ *
+ * @param {string} zipPath
+ * @param {string} slug - Plugin folder name
+ */
+export async function inspectZip(zipPath, slug) {
+  const { size: zipSize } = await stat(zipPath);
+  const entries = await readZipEntries(zipPath);
+  const prefix = `${slug}/`;
+
+  const files = entries
+    .filter(entry => !entry.isDir)
+    .map(entry => ({
+      path: entry.name.startsWith(prefix) ? entry.name.slice(prefix.length) : entry.name,
+      inRoot: entry.name.startsWith(prefix),
+      size: entry.size,
+      compressedSize: entry.compressedSize,
+      ratio: savedRatio(entry.size, entry.compressedSize),
+      crc32: entry.crc32
+    }))
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  const directories = new Map();
+  for (const file of files) {
+    for (let dir = dirname(file.path); dir !== '.'; dir = dirname(dir)) {
+      const total = directories.get(dir) || { path: `${dir}/`, files: 0, size: 0, compressedSize: 0 };
+      total.files++;
+      total.size += file.size;
+      total.compressedSize += file.compressedSize;
+      directories.set(dir, total);
+    }
+  }
+
+  const totals = {
+    files: files.length,
+    size: files.reduce((sum, file) => sum + file.size, 0),
+    compressedSize: files.reduce((sum, file) => sum + file.compressedSize, 0)
+  };
+  totals.ratio = savedRatio(totals.size, totals.compressedSize);
+
+  const warnings = [
+    ...files
+      .filter(file => !file.inRoot)
+      .map(file => ({ path: file.path, reason: `Outside the ${prefix} folder`, files: 1, size: file.size })),
+    ...findUnexpectedContent(files.filter(file => file.inRoot))
+  ];
+
+  const bySize = (a, b) => b.size - a.size;
+
+  return {
+    zip: zipPath,
+    zipSize,
+    root: prefix,
+    files: files.map(({ inRoot, ...file }) => file),
+    totals,
+    largestFiles: [...files].sort(bySize).slice(0, TOP_COUNT).map(({ path, size }) => ({ path, size })),
+    largestDirectories: [...directories.values()].sort(bySize).slice(0, TOP_COUNT),
+    warnings
+  };
+}
@@ -0,0 +1,100 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile, mkdir, access } from 'fs/promises';
+import { join } from 'path';
+
+export const BUILD_CACHE_DIR = '.es-cache';
+
+const CACHE_FILE = 'build.json';
+const CACHE_VERSION = 1;
+
+/**
+ * Hash strings, buffers or JSON-serializable values into one sha256 digest
+ */
+export function hashContent(...parts) {
+  const hash = createHash('sha256');
+  for (const part of parts) {
+    hash.update(typeof part === 'string' || Buffer.isBuffer(part) ? part : JSON.stringify(part));
+    hash.update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the paths and contents of files under rootDir, one file at a time
+ */
+export async function hashFiles(rootDir, files) {
+  const hash = createHash('sha256');
+  for (const file of files) {
+    hash.update(file).update('\0');
+    hash.update(await readFile(join(rootDir, file))).update('\0');
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Check that every output of a cached task still exists
+ */
+async function outputsExist(paths) {
+  try {
+    await Promise.all(paths.map(path => access(path)));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Load the build cache from .es-cache/build.json
+ *
+ * Tasks key each output on a hash of its inputs: isFresh(key, hash, outputs)
+ * is true when the last build recorded the same hash and the output files are
+ * still there; update(key, hash) records a rebuilt output. With enabled = false
+ * every lookup misses (a full rebuild), but the cache is still refreshed for
+ * the next build.
+ *
+ * @param {string} rootDir - Project root
+ * @param {boolean} enabled - False for "es build --no-cache"
+ */
+export async function loadBuildCache(rootDir = process.cwd(), enabled = true) {
+  const cacheDir = join(rootDir, BUILD_CACHE_DIR);
+  let entries = {};
+
+  if (enabled) {
+    try {
+      const data = JSON.parse(await readFile(join(cacheDir, CACHE_FILE), 'utf-8'));
+      if (data.version === CACHE_VERSION) {
+        entries = data.entries || {};
+      }
+    } catch (error) {
+      // No cache yet, or unreadable: rebuild everything
+    }
+  }
+
+  const stats = { hits: 0, misses: 0 };
+
+  return {
+    enabled,
+    stats,
+
+    async isFresh(key, hash, outputs = []) {
+      const fresh = enabled && entries[key] === hash && await outputsExist(outputs);
+      if (fresh) {
+        stats.hits++;
+      } else {
+        stats.misses++;
+      }
+      return fresh;
+    },
+
+    update(key, hash) {
+      entries[key] = hash;
+    },
+
+    async save() {
+      await mkdir(cacheDir, { recursive: true });
+      // Keep the cache out of git without touching the project's .gitignore
+      await writeFile(join(cacheDir, '.gitignore'), '*\n', 'utf-8');
+      await writeFile(join(cacheDir, CACHE_FILE), JSON.stringify({ version: CACHE_VERSION, entries }, null, 2) + '\n', 'utf-8');
+    }
+  };
+}
@@ -0,0 +1,23 @@
+// Built-in build steps; BUILTIN_STEPS in tasks/build-pipeline.js implements each one
+export const BUILTIN_STEP_NAMES = ['scss', 'css', 'js', 'pot', 'since', 'zip'];
+
+/**
+ * Check a build.steps entry
+ * Used by the config schema; returns true or an error message.
+ */
+export function validateBuildStep(step) {
+  if (typeof step === 'string') {
+    return BUILTIN_STEP_NAMES.includes(step) || `unknown built-in step "${step}" (expected one of: ${BUILTIN_STEP_NAMES.join(', ')})`;
+  }
+
+  const kinds = ['task', 'run', 'plugin'].filter(kind => step[kind] !== undefined);
+  if (kinds.length !== 1) {
+    return 'must have exactly one of "task", "run" or "plugin"';
+  }
+
+  if (step.task !== undefined && !BUILTIN_STEP_NAMES.includes(step.task)) {
+    return `unknown built-in step "${step.task}" (expected one of: ${BUILTIN_STEP_NAMES.join(', ')})`;
+  }
+
+  return true;
+}
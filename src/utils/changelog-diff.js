@@ -0,0 +1,93 @@
+import semver from 'semver';
+import { isPrerelease } from './version-pattern.js';
+import { parseEntryText } from './changelog.js';
+
+const HTML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#039;': "'", '&#39;': "'" };
+
+/**
+ * Normalize entry text for comparison
+ * The remote changelog may HTML-encode characters and vary in whitespace,
+ * and "Fix - Something" is the same entry as "Fix: Something".
+ */
+function normalizeEntry(text) {
+  const decoded = text
+    .replace(/&(?:amp|lt|gt|quot|#0?39);/g, entity => HTML_ENTITIES[entity])
+    .replace(/\s+/g, ' ')
+    .trim();
+  const { type, description } = parseEntryText(decoded);
+
+  return (type ? `${type}: ${description}` : decoded).toLowerCase();
+}
+
+/**
+ * Compare the entries of the same release in two changelogs
+ * @returns {{ localOnly: string[], remoteOnly: string[] }}
+ */
+function diffEntries(localRelease, remoteRelease) {
+  const remoteTexts = remoteRelease.entries.map(e => normalizeEntry(e.text));
+  const localTexts = localRelease.entries.map(e => normalizeEntry(e.text));
+
+  return {
+    localOnly: localRelease.entries.filter(e => !remoteTexts.includes(normalizeEntry(e.text))).map(e => e.text),
+    remoteOnly: remoteRelease.entries.filter(e => !localTexts.includes(normalizeEntry(e.text))).map(e => e.text)
+  };
+}
+
+/**
+ * Compare local changelog.txt with the changelog live on WooCommerce.com
+ *
+ * @param {object} local - parseChangelog() of changelog.txt
+ * @param {object} remote - parseChangelog() of the WooCommerce.com changelog
+ * @returns {{
+ *   deployedVersion: string|null,
+ *   pending: Array<object>,      Local releases newer than anything deployed
+ *   missing: Array<object>,      Local releases older than the deployed version that were never deployed
+ *   prereleases: Array<object>,  Older pre-releases that were never deployed (expected, they are not published)
+ *   remoteOnly: Array<object>,   Deployed releases that are not in changelog.txt
+ *   changed: Array<{ version: string, localOnly: string[], remoteOnly: string[], dateChanged: boolean }>,
+ *   inSync: boolean
+ * }}
+ */
+export function diffChangelogs(local, remote) {
+  const remoteByVersion = new Map(remote.releases.map(r => [r.version, r]));
+  const localVersions = new Set(local.releases.map(r => r.version));
+  const deployedVersion = remote.releases[0]?.version || null;
+
+  const pending = [];
+  const missing = [];
+  const prereleases = [];
+  const changed = [];
+
+  for (const release of local.releases) {
+    const deployed = remoteByVersion.get(release.version);
+
+    if (!deployed) {
+      if (!deployedVersion || semver.gt(release.version, deployedVersion)) {
+        pending.push(release);
+      } else if (isPrerelease(release.version)) {
+        prereleases.push(release);
+      } else {
+        missing.push(release);
+      }
+      continue;
+    }
+
+    const entries = diffEntries(release, deployed);
+    const dateChanged = release.date !== deployed.date;
+    if (entries.localOnly.length > 0 || entries.remoteOnly.length > 0 || dateChanged) {
+      changed.push({ version: release.version, ...entries, dateChanged, localDate: release.date, remoteDate: deployed.date });
+    }
+  }
+
+  const remoteOnly = remote.releases.filter(r => !localVersions.has(r.version));
+
+  return {
+    deployedVersion,
+    pending,
+    missing,
+    prereleases,
+    remoteOnly,
+    changed,
+    inSync: pending.length === 0 && missing.length === 0 && remoteOnly.length === 0 && changed.length === 0
+  };
+}
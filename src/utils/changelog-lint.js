@@ -0,0 +1,219 @@
+import semver from 'semver';
+import { VERSION_PATTERN } from './version-pattern.js';
+import { DEFAULT_CHANGELOG_TYPES, parseChangelog, renderChangelog, parseEntryText } from './changelog.js';
+
+// A line that names a version but is not a valid release header, e.g.
+// "version 2.3.11", "2025.1.7 - version 2.3.11" or "Dec 7 2025 - version 2.3.11"
+const LOOSE_HEADER = new RegExp(`^(?![*-]\\s)\\S.*\\bversion\\s+${VERSION_PATTERN}\\s*$`, 'i');
+
+const ENTRY_PREFIX = /^\s*[*-]\s*/;
+
+/**
+ * Check a YYYY.MM.DD style date for a real calendar day
+ * @returns {string|null} The date as YYYY.MM.DD, or null if invalid
+ */
+function normalizeDate(date) {
+  const [year, month, day] = date.split(/[.\-/]/).map(Number);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+
+  if (parsed.getUTCFullYear() !== year || parsed.getUTCMonth() !== month - 1 || parsed.getUTCDate() !== day) {
+    return null;
+  }
+
+  return `${year}.${String(month).padStart(2, '0')}.${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * The entry prefix most entries use ("    * " unless the file says otherwise)
+ */
+function dominantPrefix(changelog) {
+  const counts = new Map();
+
+  for (const release of changelog.releases) {
+    for (const entry of release.entries) {
+      const prefix = release.lines[entry.line].match(ENTRY_PREFIX)[0];
+      counts.set(prefix, (counts.get(prefix) || 0) + 1);
+    }
+  }
+
+  let best = '    * ';
+  let bestCount = 0;
+  for (const [prefix, count] of counts) {
+    if (count > bestCount) {
+      best = prefix;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Whether format and entry rules are enforced for a release
+ * Released history is only warned about: it is live already and rewriting it
+ * would make the local changelog drift from the deployed one.
+ */
+function isEnforced(release, index, options) {
+  if (options.allReleases) {
+    return true;
+  }
+  if (options.deployedVersion && semver.valid(release.version) && semver.valid(options.deployedVersion)) {
+    return semver.gt(release.version, options.deployedVersion);
+  }
+  return index === 0;
+}
+
+/**
+ * Collect issues for a parsed changelog
+ * Fixable issues carry a fix() that edits the model in place.
+ */
+function collectIssues(changelog, options) {
+  const { types = DEFAULT_CHANGELOG_TYPES, version = null } = options;
+  const issues = [];
+
+  const report = (severity, line, rule, message, fix = null) => {
+    issues.push({ severity, line, rule, message, fix });
+  };
+
+  // Same as report(), but only a warning without a fix for released history
+  const reportFor = enforced => enforced
+    ? report
+    : (severity, line, rule, message) => report('warning', line, rule, message);
+
+  // Version-like lines that are not recognized as release headers
+  changelog.preamble.forEach((line, index) => {
+    if (LOOSE_HEADER.test(line)) {
+      report('error', index + 1, 'release-header', `"${line.trim()}" is not a release header (expected "YYYY.MM.DD - version X.Y.Z")`);
+    }
+  });
+
+  for (const release of changelog.releases) {
+    release.lines.forEach((line, index) => {
+      if (index > 0 && LOOSE_HEADER.test(line)) {
+        report('error', release.lineNumber + index, 'release-header', `"${line.trim()}" is not a release header (expected "YYYY.MM.DD - version X.Y.Z")`);
+      }
+    });
+  }
+
+  if (changelog.releases.length === 0) {
+    report('error', null, 'no-releases', 'no releases found');
+    return issues;
+  }
+
+  if (version && changelog.releases[0].version !== version) {
+    report('error', changelog.releases[0].lineNumber, 'top-version', `top entry is ${changelog.releases[0].version}, expected ${version}`);
+  }
+
+  const prefix = dominantPrefix(changelog);
+  const seen = new Map();
+  let previous = null;
+
+  changelog.releases.forEach((release, index) => {
+    const line = release.lineNumber;
+    const check = reportFor(isEnforced(release, index, options));
+
+    // Header: YYYY.MM.DD - version X.Y.Z
+    const date = normalizeDate(release.date);
+    if (!date) {
+      check('error', line, 'date-format', `"${release.date}" is not a valid date`);
+    } else {
+      const expected = `${date} - version ${release.version}`;
+      if (release.lines[0] !== expected) {
+        check('warning', line, 'header-format', `header should be "${expected}"`, () => {
+          release.lines[0] = expected;
+        });
+      }
+    }
+
+    // Order: newest first, no duplicates
+    if (seen.has(release.version)) {
+      report('error', line, 'duplicate-version', `${release.version} is already listed on line ${seen.get(release.version)}`);
+    } else {
+      seen.set(release.version, line);
+
+      if (previous && semver.gte(release.version, previous.version)) {
+        report('error', line, 'version-order', `${release.version} is listed below ${previous.version}; releases must be newest first`);
+      } else if (previous && date && normalizeDate(previous.date) && date > normalizeDate(previous.date)) {
+        report('warning', line, 'date-order', `${release.date} is later than ${previous.date} above it`);
+      }
+    }
+    previous = release;
+
+    if (release.entries.length === 0) {
+      check('warning', line, 'empty-release', `${release.version} has no entries`);
+    }
+
+    // Entries: "Type: Description" with an allowed type, consistent indentation
+    for (const entry of release.entries) {
+      const entryLine = line + entry.line;
+      const raw = release.lines[entry.line];
+
+      if (!raw.startsWith(prefix)) {
+        check('warning', entryLine, 'indentation', `entry should start with "${prefix}"`, () => {
+          release.lines[entry.line] = release.lines[entry.line].replace(ENTRY_PREFIX, prefix);
+        });
+      }
+
+      if (!entry.type) {
+        check('error', entryLine, 'entry-type', `entry has no type; use "Type: Description" with one of: ${types.join(', ')}`);
+        continue;
+      }
+
+      const allowed = types.find(type => type.toLowerCase() === entry.type.toLowerCase());
+      if (!allowed) {
+        check('error', entryLine, 'entry-type', `unknown type "${entry.type}"; allowed: ${types.join(', ')}`);
+        continue;
+      }
+
+      const firstLine = raw.replace(ENTRY_PREFIX, '');
+      const { description } = parseEntryText(firstLine);
+      if (!firstLine.startsWith(`${allowed}: `)) {
+        check('warning', entryLine, 'entry-format', `entry should read "${allowed}: ${description}"`, () => {
+          const current = release.lines[entry.line];
+          release.lines[entry.line] = current.match(ENTRY_PREFIX)[0] + `${allowed}: ${description}`;
+        });
+      }
+    }
+  });
+
+  return issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+}
+
+/**
+ * Lint changelog.txt content
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string[]} [options.types] - Allowed entry types (default: DEFAULT_CHANGELOG_TYPES)
+ * @param {string} [options.version] - Version the top entry must have
+ * @param {string} [options.deployedVersion] - Releases up to this version are history (default: all but the top one)
+ * @param {boolean} [options.allReleases] - Enforce and fix format and entry rules in history too
+ * @returns {Array<{ severity: 'error'|'warning', line: number|null, rule: string, message: string, fixable: boolean }>}
+ */
+export function lintChangelog(text, options = {}) {
+  return collectIssues(parseChangelog(text), options)
+    .map(({ fix, ...issue }) => ({ ...issue, fixable: Boolean(fix) }));
+}
+
+/**
+ * Apply every mechanical fix (header format, entry format, indentation)
+ * Released history is left alone unless options.allReleases is set.
+ *
+ * @returns {{ text: string, fixed: number }}
+ */
+export function fixChangelog(text, options = {}) {
+  const changelog = parseChangelog(text);
+  const fixable = collectIssues(changelog, options).filter(issue => issue.fix);
+
+  fixable.forEach(issue => issue.fix());
+
+  return { text: renderChangelog(changelog), fixed: fixable.length };
+}
+
+/**
+ * Format a lint issue as "file:line rule: message"
+ */
+export function formatLintIssue(issue, file = 'changelog.txt') {
+  const position = issue.line ? `${file}:${issue.line}` : file;
+  const fixable = issue.fixable ? ' (fixable)' : '';
+  return `${position} ${issue.rule}: ${issue.message}${fixable}`;
+}
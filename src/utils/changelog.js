@@ -0,0 +1,250 @@
+import { VERSION_PATTERN } from './version-pattern.js';
+
+/**
+ * changelog.txt model
+ *
+ *   *** My Extension Changelog ***
+ *
+ *   2025.12.07 - version 2.3.11
+ *       * Fix: Correct tax rounding
+ *       * Update: Tested up to WooCommerce 10.3
+ *
+ * parseChangelog() splits the file into a preamble and releases. Every release
+ * keeps its raw lines and the line ending after each one (files may mix LF and
+ * CRLF), so renderChangelog() reproduces the input byte for byte and edits
+ * only touch the lines they change.
+ */
+
+// 2025.12.07 - version 2.3.11 (also accepts 2025-12-07 and en dashes)
+const RELEASE_HEADER = new RegExp(`^\\s*(\\d{4}[.\\-/]\\d{2}[.\\-/]\\d{2})\\s*[-–]\\s*version\\s+(${VERSION_PATTERN})\\s*$`, 'i');
+
+// "* Fix: Something" or "* Tweak - Something"
+const TYPED_ENTRY = /^([A-Za-z][A-Za-z ]{0,20}?)\s*(?::|\s-\s)\s*(.+)$/;
+
+const DEFAULT_ENTRY_PREFIX = '    * ';
+
+// Entry types documented by "es version" and enforced by "es changelog lint"
+export const DEFAULT_CHANGELOG_TYPES = ['Fix', 'Update', 'New', 'Security', 'Added', 'Remove'];
+
+// Formats "es changelog sync" renders changelogTargets in
+export const CHANGELOG_TARGET_FORMATS = ['readme', 'keep-a-changelog'];
+
+/**
+ * Format a date as YYYY.MM.DD
+ */
+export function formatChangelogDate(date = new Date()) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}.${month}.${day}`;
+}
+
+/**
+ * Parse a release header line
+ * @returns {{ date: string, version: string }|null}
+ */
+export function parseReleaseHeader(line) {
+  const match = line.match(RELEASE_HEADER);
+  return match ? { date: match[1], version: match[2] } : null;
+}
+
+/**
+ * Split entry text into its type and description
+ * @returns {{ type: string|null, description: string }}
+ */
+export function parseEntryText(text) {
+  const typed = text.match(TYPED_ENTRY);
+  return typed ? { type: typed[1], description: typed[2] } : { type: null, description: text };
+}
+
+/**
+ * Parse the entries of a release from its raw lines
+ * Indented lines that are not bullets continue the previous entry.
+ */
+function parseEntries(lines) {
+  const entries = [];
+
+  for (let i = 1; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+
+    if (trimmed.startsWith('*') || trimmed.startsWith('-')) {
+      const text = trimmed.replace(/^[*-]\s*/, '');
+
+      entries.push({
+        ...parseEntryText(text),
+        text,
+        line: i,
+        endLine: i
+      });
+    } else if (trimmed && entries.length > 0 && /^\s/.test(lines[i])) {
+      const last = entries[entries.length - 1];
+      last.text += ` ${trimmed}`;
+      last.description += ` ${trimmed}`;
+      last.endLine = i;
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Build a release object from raw lines (header first) and their line endings
+ */
+function createRelease(lines, eols, lineNumber = null) {
+  const header = parseReleaseHeader(lines[0]);
+
+  return {
+    date: header.date,
+    version: header.version,
+    lineNumber,
+    lines,
+    eols,
+    entries: parseEntries(lines)
+  };
+}
+
+/**
+ * Parse changelog text
+ *
+ * @param {string} text
+ * `eol` is the most common line ending, used for lines that edits add.
+ * `eols` / `preambleEols` hold the ending after each line ('' after the last one).
+ *
+ * @returns {{ eol: string, preamble: string[], preambleEols: string[], releases: Array<{ date: string, version: string, lineNumber: number|null, lines: string[], eols: string[], entries: Array<{ type: string|null, description: string, text: string, line: number, endLine: number }> }> }}
+ */
+export function parseChangelog(text) {
+  // Odd items are the line endings between the lines
+  const parts = text.split(/(\r?\n)/);
+  const lines = parts.filter((part, index) => index % 2 === 0);
+  const eols = lines.map((line, index) => parts[index * 2 + 1] || '');
+
+  const crlf = eols.filter(ending => ending === '\r\n').length;
+  const eol = crlf > eols.filter(ending => ending === '\n').length ? '\r\n' : '\n';
+
+  const preamble = [];
+  const preambleEols = [];
+  const releases = [];
+  let current = null;
+
+  lines.forEach((line, index) => {
+    if (parseReleaseHeader(line)) {
+      current = { lines: [line], eols: [eols[index]], lineNumber: index + 1 };
+      releases.push(current);
+    } else if (current) {
+      current.lines.push(line);
+      current.eols.push(eols[index]);
+    } else {
+      preamble.push(line);
+      preambleEols.push(eols[index]);
+    }
+  });
+
+  return {
+    eol,
+    preamble,
+    preambleEols,
+    releases: releases.map(r => createRelease(r.lines, r.eols, r.lineNumber))
+  };
+}
+
+/**
+ * Render a changelog back to text
+ * Every line but the last ends with its own line ending, or `eol` for added lines.
+ */
+export function renderChangelog(changelog) {
+  const lines = [
+    ...changelog.preamble,
+    ...changelog.releases.flatMap(release => release.lines)
+  ];
+  const eols = [
+    ...changelog.preambleEols,
+    ...changelog.releases.flatMap(release => release.eols)
+  ];
+
+  return lines
+    .map((line, index) => index < lines.length - 1 ? line + (eols[index] || changelog.eol) : line)
+    .join('');
+}
+
+/**
+ * Find a release by version
+ */
+export function findRelease(changelog, version) {
+  return changelog.releases.find(release => release.version === version) || null;
+}
+
+/**
+ * The bullet prefix used by existing entries ("    * " by default)
+ */
+function entryPrefix(changelog) {
+  for (const release of changelog.releases) {
+    if (release.entries.length > 0) {
+      const match = release.lines[release.entries[0].line].match(/^\s*[*-]\s*/);
+      if (match) return match[0];
+    }
+  }
+  return DEFAULT_ENTRY_PREFIX;
+}
+
+/**
+ * Normalize entry text for duplicate detection
+ */
+function normalizeEntry(text) {
+  return text.replace(/^[*-]\s*/, '').trim().toLowerCase();
+}
+
+/**
+ * Add a release at the top of the changelog
+ *
+ * @param {object} changelog - From parseChangelog()
+ * @param {{ version: string, date?: string, entries: string[] }} release
+ * @returns {object} The new release
+ */
+export function addRelease(changelog, { version, date = formatChangelogDate(), entries }) {
+  const prefix = entryPrefix(changelog);
+  const lines = [
+    `${date} - version ${version}`,
+    ...entries.map(entry => prefix + entry.replace(/^[*-]\s*/, '')),
+    ''
+  ];
+
+  // First release: separate it from the header by exactly one blank line
+  if (changelog.releases.length === 0) {
+    while (changelog.preamble.length > 0 && changelog.preamble[changelog.preamble.length - 1] === '') {
+      changelog.preamble.pop();
+      changelog.preambleEols.pop();
+    }
+    if (changelog.preamble.length > 0) {
+      changelog.preamble.push('');
+      changelog.preambleEols.push(changelog.eol);
+    }
+  }
+
+  const release = createRelease(lines, lines.map(() => changelog.eol));
+  changelog.releases.unshift(release);
+  return release;
+}
+
+/**
+ * Append entries to a release, skipping ones it already has (case-insensitive)
+ *
+ * @returns {string[]} Entries that were added
+ */
+export function addEntries(changelog, release, entries) {
+  const existing = release.entries.map(entry => normalizeEntry(entry.text));
+  const added = entries.filter(entry => !existing.includes(normalizeEntry(entry)));
+
+  if (added.length === 0) {
+    return added;
+  }
+
+  const last = release.entries[release.entries.length - 1];
+  const insertAt = last ? last.endLine + 1 : 1;
+  const prefix = last ? release.lines[last.line].match(/^\s*[*-]\s*/)[0] : entryPrefix(changelog);
+
+  release.lines.splice(insertAt, 0, ...added.map(entry => prefix + entry.replace(/^[*-]\s*/, '')));
+  release.eols.splice(insertAt, 0, ...added.map(() => changelog.eol));
+  release.entries = parseEntries(release.lines);
+
+  return added;
+}
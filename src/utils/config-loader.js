@@ -1,6 +1,16 @@
 import { readFile, access } from 'fs/promises';
-import { join } from 'path';
+import { join, dirname, resolve, relative, isAbsolute, sep } from 'path';
+import { homedir } from 'os';
+import { createRequire } from 'module';
 import chalk from 'chalk';
+import { parseJsonWithLocations, JsonSyntaxError } from './json-locator.js';
+import { CONFIG_SCHEMA, validateConfig, checkRequiredKeys, formatIssue } from './config-schema.js';
+
+const PROJECT_CONFIG = '.deployrc.json';
+const LOCAL_CONFIG = '.deployrc.local.json';
+
+// User-level defaults shared by every extension on this machine
+export const GLOBAL_CONFIG_PATH = join(homedir(), '.es', 'config.json');
 
 const DEFAULT_CONFIG = {
   versionFiles: [
@@ -11,28 +21,348 @@ const DEFAULT_CONFIG = {
   ],
   // No buildCommand by default - uses built-in tasks
   // Set buildCommand explicitly to use a custom build script
+  compileScss: true,
   minifyCss: true,
+  minifyJs: false,
   generatePot: true,
   testCommands: {},
   distPath: './dist'
 };
 
 /**
- * Load deployment configuration from .deployrc.json in current directory
+ * Thrown when a configuration file cannot be parsed or fails validation.
+ * Carries every issue found so they can be reported at once.
  */
-export async function loadConfig() {
-  const configPath = join(process.cwd(), '.deployrc.json');
+export class ConfigError extends Error {
+  constructor(message, file, issues = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.file = file;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Read and validate a configuration file without merging defaults
+ *
+ * Syntax errors are reported as a single issue rather than thrown, so callers
+ * can decide whether to abort or just report.
+ *
+ * @param {string} configPath - Absolute path to the JSON file
+ * @param {object} [options] - Passed through to validateConfig()
+ * @returns {Promise<{ config: object|null, issues: Array }>}
+ */
+export async function readConfigFile(configPath, options = {}) {
+  const configData = await readFile(configPath, 'utf-8');
 
   try {
-    await access(configPath);
-    const configData = await readFile(configPath, 'utf-8');
-    const config = JSON.parse(configData);
+    const { value, locations } = parseJsonWithLocations(configData);
+    return { config: value, issues: validateConfig(value, { ...options, locations }) };
+  } catch (error) {
+    if (!(error instanceof JsonSyntaxError)) {
+      throw error;
+    }
 
-    // Merge with defaults
     return {
-      ...DEFAULT_CONFIG,
-      ...config
+      config: null,
+      issues: [{
+        severity: 'error',
+        path: '',
+        message: `invalid JSON: ${error.reason}`,
+        line: error.line,
+        column: error.column
+      }]
     };
+  }
+}
+
+/**
+ * Print validation issues, errors first
+ */
+export function printConfigIssues(issues, file = '.deployrc.json') {
+  const errors = issues.filter(i => i.severity === 'error');
+  const warnings = issues.filter(i => i.severity === 'warning');
+
+  for (const issue of errors) {
+    console.error(chalk.red('  ✖'), formatIssue(issue, file));
+  }
+  for (const issue of warnings) {
+    console.log(chalk.yellow('  ⚠'), formatIssue(issue, file));
+  }
+}
+
+/**
+ * Shorten a path for display (home directory → ~)
+ */
+function displayPath(path, cwd) {
+  const home = homedir();
+  if (path.startsWith(cwd + sep)) return relative(cwd, path);
+  if (path.startsWith(home + sep)) return '~' + path.slice(home.length);
+  return path;
+}
+
+/**
+ * Check whether a value is a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merge one layer into the resolved config, recording where each value came from.
+ * Objects are merged key by key; arrays and scalars replace the lower layer.
+ */
+function mergeLayer(target, sources, layer, label, prefix = '') {
+  for (const [key, value] of Object.entries(layer)) {
+    // "__proto__" would reach Object.prototype through target[key]
+    if (key === 'extends' || key === '$schema' || key === '__proto__') continue;
+
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeLayer(target[key], sources, value, label, path);
+      continue;
+    }
+
+    for (const existing of sources.keys()) {
+      if (existing.startsWith(`${path}.`)) sources.delete(existing);
+    }
+
+    target[key] = structuredClone(value);
+    sources.set(path, label);
+
+    if (isPlainObject(value)) {
+      markSources(value, sources, label, path);
+    }
+  }
+}
+
+/**
+ * Record a label for every nested key of a newly set object
+ */
+function markSources(object, sources, label, prefix) {
+  for (const [key, value] of Object.entries(object)) {
+    const path = `${prefix}.${key}`;
+    sources.set(path, label);
+    if (isPlainObject(value)) markSources(value, sources, label, path);
+  }
+}
+
+/**
+ * Resolve an "extends" entry relative to the file that declares it.
+ * Paths (./, ../, /, ~) are resolved from the file's directory; anything else
+ * is treated as a package name resolved from node_modules.
+ */
+function resolvePreset(spec, fromFile) {
+  if (spec.startsWith('~/')) {
+    return join(homedir(), spec.slice(2));
+  }
+  if (spec.startsWith('.') || isAbsolute(spec)) {
+    return resolve(dirname(fromFile), spec);
+  }
+
+  const require = createRequire(fromFile);
+  return require.resolve(spec);
+}
+
+/**
+ * Convert a schema key to its environment variable name (minifyCss → ES_MINIFY_CSS)
+ */
+export function envNameForKey(key) {
+  return 'ES_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Coerce an environment variable string to the type the schema expects
+ */
+function coerceEnvValue(raw, schema) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (types.includes('boolean') && /^(true|false|1|0|yes|no)$/i.test(raw)) {
+    return /^(true|1|yes)$/i.test(raw);
+  }
+  if (types.includes('array') || types.includes('object')) {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      return JSON.parse(trimmed);
+    }
+    if (types.includes('array')) {
+      return trimmed.split(',').map(s => s.trim()).filter(Boolean);
+    }
+  }
+  if (types.includes('number') && !types.includes('string') && raw.trim() !== '' && !isNaN(Number(raw))) {
+    return Number(raw);
+  }
+  if (raw === 'null' && schema.nullable) {
+    return null;
+  }
+  return raw;
+}
+
+/**
+ * Collect ES_* environment overrides for known config keys
+ */
+function readEnvLayer(env) {
+  const values = {};
+  const sources = {};
+  const issues = [];
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    if (key === 'extends' || key === '$schema') continue;
+
+    const name = envNameForKey(key);
+    if (env[name] === undefined) continue;
+
+    try {
+      values[key] = coerceEnvValue(env[name], schema);
+      sources[key] = name;
+    } catch (error) {
+      issues.push({ severity: 'error', path: key, message: `invalid JSON: ${error.message}`, line: null, column: null, file: name });
+    }
+  }
+
+  for (const issue of validateConfig(values, { checkRequired: false })) {
+    issues.push({ ...issue, file: sources[issue.path.split(/[.[]/)[0]] || 'environment' });
+  }
+
+  return { values, sources, issues };
+}
+
+/**
+ * Load a config file plus everything it extends, lowest priority first
+ */
+async function readLayerWithPresets(path, cwd, seen = []) {
+  if (seen.includes(path)) {
+    const chain = [...seen, path].map(p => displayPath(p, cwd)).join(' → ');
+    return {
+      layers: [],
+      issues: [{
+        severity: 'error',
+        path: 'extends',
+        message: `circular extends: ${chain}`,
+        line: null,
+        column: null,
+        file: displayPath(seen[seen.length - 1], cwd)
+      }]
+    };
+  }
+
+  const label = displayPath(path, cwd);
+  const { config, issues } = await readConfigFile(path, { checkRequired: false });
+  issues.forEach(issue => { issue.file = label; });
+
+  if (!config || !isPlainObject(config)) {
+    return { layers: [], issues };
+  }
+
+  const layers = [];
+  const presets = config.extends ? [].concat(config.extends) : [];
+
+  for (const spec of presets) {
+    if (typeof spec !== 'string') continue;
+
+    let presetPath;
+    try {
+      presetPath = resolvePreset(spec, path);
+      await access(presetPath);
+    } catch (error) {
+      issues.push({ severity: 'error', path: 'extends', message: `cannot resolve preset "${spec}"`, line: null, column: null, file: label });
+      continue;
+    }
+
+    const preset = await readLayerWithPresets(presetPath, cwd, [...seen, path]);
+    layers.push(...preset.layers);
+    issues.push(...preset.issues);
+  }
+
+  layers.push({ label, values: config });
+  return { layers, issues };
+}
+
+/**
+ * Resolve the layered configuration for a project directory
+ *
+ * Layers, lowest priority first:
+ * 1. Built-in defaults
+ * 2. User defaults in ~/.es/config.json (and anything it extends)
+ * 3. Presets named by "extends" in .deployrc.json
+ * 4. Project .deployrc.json
+ * 5. Project .deployrc.local.json (git-ignored, per machine)
+ * 6. ES_* environment variables (e.g. ES_MINIFY_CSS=false)
+ *
+ * Throws ENOENT if the project has no .deployrc.json.
+ *
+ * @param {string} [cwd] - Project directory
+ * @param {object} [env] - Environment variables
+ * @returns {Promise<{ config: object, sources: Map<string, string>, layers: string[], issues: Array }>}
+ */
+export async function resolveConfig(cwd = process.cwd(), env = process.env) {
+  const projectPath = join(cwd, PROJECT_CONFIG);
+  await access(projectPath);
+
+  const layers = [{ label: 'defaults', values: DEFAULT_CONFIG }];
+  const issues = [];
+
+  for (const path of [GLOBAL_CONFIG_PATH, projectPath, join(cwd, LOCAL_CONFIG)]) {
+    if (path !== projectPath) {
+      try {
+        await access(path);
+      } catch (error) {
+        continue;
+      }
+    }
+
+    const result = await readLayerWithPresets(path, cwd);
+    layers.push(...result.layers);
+    issues.push(...result.issues);
+  }
+
+  const envLayer = readEnvLayer(env);
+  issues.push(...envLayer.issues);
+
+  const config = {};
+  const sources = new Map();
+
+  for (const layer of layers) {
+    mergeLayer(config, sources, layer.values, layer.label);
+  }
+
+  for (const [key, value] of Object.entries(envLayer.values)) {
+    mergeLayer(config, sources, { [key]: value }, envLayer.sources[key]);
+  }
+
+  if (!issues.some(i => i.severity === 'error')) {
+    issues.push(...checkRequiredKeys(config).map(issue => ({ ...issue, file: PROJECT_CONFIG })));
+  }
+
+  return {
+    config,
+    sources,
+    layers: [...layers.map(l => l.label), ...Object.values(envLayer.sources)],
+    issues
+  };
+}
+
+/**
+ * Load deployment configuration for the current directory
+ * See resolveConfig() for the layers that are merged.
+ */
+export async function loadConfig() {
+  try {
+    const { config, issues } = await resolveConfig(process.cwd());
+    const errors = issues.filter(i => i.severity === 'error');
+
+    if (errors.length > 0) {
+      throw new ConfigError(`${errors.length} configuration error(s)`, PROJECT_CONFIG, issues);
+    }
+
+    if (issues.length > 0) {
+      console.log();
+      printConfigIssues(issues);
+      console.log();
+    }
+
+    return config;
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.error(chalk.red('\n✖ No .deployrc.json found in current directory'));
@@ -42,7 +372,14 @@ export async function loadConfig() {
       process.exit(1);
     }
 
-    console.error(chalk.red('\n✖ Error reading .deployrc.json:'), error.message);
+    if (error instanceof ConfigError) {
+      console.error(chalk.red(`\n✖ Invalid configuration: ${error.message}\n`));
+      printConfigIssues(error.issues, error.file);
+      console.log(chalk.yellow('\nRun "es config validate" after fixing to check again.\n'));
+      process.exit(1);
+    }
+
+    console.error(chalk.red('\n✖ Error reading configuration:'), error.message);
     process.exit(1);
   }
 }
@@ -0,0 +1,530 @@
+import { joinPath } from './json-locator.js';
+import { validateProfileName } from './profile-name.js';
+import { CHANGELOG_TARGET_FORMATS } from './changelog.js';
+import { validateBuildStep } from './build-steps.js';
+import { DEFAULT_EXCLUDE_PATTERNS } from './zip-excludes.js';
+import { parseSizeLimit } from './format.js';
+
+// A zipSizeThreshold limit
+const SIZE_LIMIT = {
+  type: ['string', 'number'],
+  validate: value => parseSizeLimit(value) !== null || 'must be a percentage ("20%"), a size ("2MB") or a number of bytes'
+};
+
+/**
+ * Schema for .deployrc.json
+ *
+ * Every key read by a command or task must be listed here, otherwise it is
+ * reported as unknown. Each entry supports:
+ * - type: 'string' | 'number' | 'boolean' | 'array' | 'object' (or an array of them)
+ * - nullable: allow null in addition to the declared type
+ * - required: missing key is an error
+ * - recommended: missing key is a warning
+ * - items: schema for array items
+ * - properties: schema for object properties (unknown properties are warned)
+ * - values: schema for every value of a free-form object (e.g. testCommands)
+ * - validate: (value) => true | 'error message'
+ */
+export const CONFIG_SCHEMA = {
+  $schema: {
+    type: 'string',
+    description: 'JSON schema reference (ignored)'
+  },
+  extends: {
+    type: ['string', 'array'],
+    description: 'Preset file(s) or package(s) to inherit settings from',
+    items: { type: 'string' }
+  },
+  productId: {
+    type: ['string', 'number'],
+    recommended: 'required for deploy, status and qit version',
+    description: 'WooCommerce.com product ID',
+    validate: value => String(value).trim() !== '' || 'must not be empty'
+  },
+  slug: {
+    type: 'string',
+    required: true,
+    description: 'Plugin slug (used for zip naming)',
+    validate: value => /^[a-z0-9][a-z0-9_-]*$/i.test(value) || 'must only contain letters, numbers, dashes and underscores'
+  },
+  mainFile: {
+    type: 'string',
+    required: true,
+    description: 'Main plugin PHP file',
+    validate: value => value.endsWith('.php') || 'must be a .php file'
+  },
+  versionFiles: {
+    type: 'array',
+    description: 'Files where version should be updated',
+    items: {
+      type: 'object',
+      properties: {
+        file: {
+          type: 'string',
+          required: true,
+          description: 'File path relative to the project root'
+        },
+        pattern: {
+          type: 'string',
+          required: true,
+          description: 'Text surrounding the version, with {{version}} as placeholder',
+          validate: value => {
+            const count = value.split('{{version}}').length - 1;
+            if (count === 0) return 'must contain the {{version}} placeholder';
+            if (count > 1) return 'must contain exactly one {{version}} placeholder';
+            return true;
+          }
+        }
+      }
+    }
+  },
+  compileScss: {
+    type: 'boolean',
+    description: 'Enable SCSS compilation'
+  },
+  scssPath: {
+    type: 'string',
+    description: 'Path to SCSS files'
+  },
+  scssSourceMaps: {
+    type: 'boolean',
+    description: 'Write .css.map source maps for compiled SCSS'
+  },
+  minifyCss: {
+    type: 'boolean',
+    description: 'Enable CSS minification'
+  },
+  cssPath: {
+    type: 'string',
+    description: 'Path to CSS files'
+  },
+  cssSourceMaps: {
+    type: 'boolean',
+    description: 'Write .min.css.map source maps for minified CSS'
+  },
+  minifyJs: {
+    type: 'boolean',
+    description: 'Enable JavaScript minification'
+  },
+  jsPath: {
+    type: 'string',
+    description: 'Path to JavaScript files'
+  },
+  generatePot: {
+    type: 'boolean',
+    description: 'Enable POT file generation'
+  },
+  bugReportUrl: {
+    type: 'string',
+    description: 'Report-Msgid-Bugs-To header for the POT file'
+  },
+  includeSourceMaps: {
+    type: 'boolean',
+    description: 'Keep *.map files in the distribution zip'
+  },
+  exclude: {
+    type: 'array',
+    description: 'Additional patterns to exclude from the zip (.gitignore syntax)',
+    items: {
+      type: 'string',
+      validate: value => value.trim() !== '' || 'must not be empty'
+    }
+  },
+  include: {
+    type: 'array',
+    description: 'Patterns to ship even if a default or exclude rule drops them (.gitignore syntax)',
+    items: {
+      type: 'string',
+      validate: value => {
+        if (value.trim() === '') return 'must not be empty';
+        return !value.startsWith('!') || 'must not start with "!"; every include pattern already re-includes';
+      }
+    }
+  },
+  disableDefaultExcludes: {
+    type: ['boolean', 'array'],
+    description: 'Turn off all built-in zip excludes (true) or the listed ones',
+    items: {
+      type: 'string',
+      validate: value => DEFAULT_EXCLUDE_PATTERNS.includes(value) ||
+        `not a built-in exclude (expected one of: ${DEFAULT_EXCLUDE_PATTERNS.join(', ')})`
+    }
+  },
+  distPath: {
+    type: 'string',
+    description: 'Output directory for distribution files'
+  },
+  releasesPath: {
+    type: 'string',
+    description: 'Directory where deployed zips are archived as <slug>-<version>.zip'
+  },
+  zipSizeThreshold: {
+    type: 'object',
+    description: 'Largest zip size change "es deploy" and "es zip diff" accept',
+    properties: {
+      grow: SIZE_LIMIT,
+      shrink: SIZE_LIMIT
+    }
+  },
+  preBuildCommand: {
+    type: 'string',
+    nullable: true,
+    description: 'Custom command to run before the zip is built'
+  },
+  build: {
+    type: 'object',
+    description: 'Built-in build settings',
+    properties: {
+      concurrency: {
+        type: 'number',
+        description: 'Build steps and file copies to run at once (default: number of CPU cores)',
+        validate: value => (Number.isInteger(value) && value > 0) || 'must be a positive integer'
+      },
+      steps: {
+        type: 'array',
+        description: 'Ordered build steps: built-in task names, shell commands and plugins',
+        items: {
+          type: ['string', 'object'],
+          validate: validateBuildStep,
+          properties: {
+            task: {
+              type: 'string',
+              description: 'Built-in step (scss, css, js, pot, since, zip)'
+            },
+            run: {
+              type: 'string',
+              description: 'Shell command to run'
+            },
+            plugin: {
+              type: 'string',
+              description: 'Plugin module path (relative to the project root) or package name'
+            },
+            name: {
+              type: 'string',
+              description: 'Label shown in the build output, and the id other steps use in "after"'
+            },
+            after: {
+              type: 'array',
+              description: 'Steps to wait for (built-in task names or step names) instead of the defaults',
+              items: { type: 'string' }
+            },
+            cwd: {
+              type: 'string',
+              description: 'Directory to run the command in, relative to the project root'
+            },
+            env: {
+              type: 'object',
+              description: 'Environment variables for the command',
+              values: { type: ['string', 'number', 'boolean'] }
+            },
+            options: {
+              type: 'object',
+              description: 'Options passed to the plugin'
+            },
+            continueOnError: {
+              type: 'boolean',
+              description: 'Warn and keep building if the step fails'
+            },
+            when: {
+              type: 'object',
+              description: 'Only run the step when every condition holds',
+              properties: {
+                exists: {
+                  type: 'string',
+                  description: 'Path that must exist, relative to the project root'
+                },
+                env: {
+                  type: ['string', 'object'],
+                  description: 'Environment variable that must be set, or name/value pairs that must match'
+                },
+                dev: {
+                  type: 'boolean',
+                  description: 'Only for (true) or never for (false) es build --dev'
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+  buildCommand: {
+    type: 'string',
+    nullable: true,
+    description: 'Custom build command that replaces the built-in build'
+  },
+  credentialCommand: {
+    type: 'string',
+    description: 'Command that prints WooCommerce.com credentials as JSON'
+  },
+  credentialProfile: {
+    type: 'string',
+    description: 'Named credential profile used to deploy this extension',
+    validate: validateProfileName
+  },
+  changelogTypes: {
+    type: 'array',
+    description: 'Allowed changelog entry types (e.g. "Fix", "New")',
+    items: {
+      type: 'string',
+      validate: value => /^[A-Za-z][A-Za-z ]*$/.test(value) || 'must only contain letters and spaces'
+    }
+  },
+  changelogTargets: {
+    type: 'array',
+    description: 'Files that changelog.txt is rendered into',
+    items: {
+      type: 'object',
+      properties: {
+        file: {
+          type: 'string',
+          required: true,
+          description: 'File path relative to the project root'
+        },
+        format: {
+          type: 'string',
+          required: true,
+          description: 'Output format',
+          validate: value => CHANGELOG_TARGET_FORMATS.includes(value) || `must be one of: ${CHANGELOG_TARGET_FORMATS.join(', ')}`
+        },
+        limit: {
+          type: 'number',
+          description: 'Only render the most recent releases',
+          validate: value => (Number.isInteger(value) && value > 0) || 'must be a positive integer'
+        }
+      }
+    }
+  },
+  sincePlaceholders: {
+    type: 'array',
+    description: 'Placeholders in @since tags replaced by the release version',
+    items: {
+      type: 'string',
+      validate: value => value.trim() !== '' || 'must not be empty'
+    }
+  },
+  allowPrereleaseDeploy: {
+    type: 'boolean',
+    description: 'Allow deploying pre-release versions (e.g., 2.4.0-beta.1) to WooCommerce.com'
+  },
+  testCommands: {
+    type: 'object',
+    description: 'Named test commands',
+    values: { type: 'string' }
+  }
+};
+
+/**
+ * Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = a[i - 1] === b[j - 1]
+        ? diagonal
+        : Math.min(diagonal, previous[j - 1], above) + 1;
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Suggest the closest known key for a misspelled one
+ * @returns {string|null}
+ */
+export function suggestKey(key, knownKeys) {
+  const lower = key.toLowerCase();
+  const caseInsensitive = knownKeys.find(k => k.toLowerCase() === lower);
+  if (caseInsensitive) return caseInsensitive;
+
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of knownKeys) {
+    const distance = editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  const threshold = Math.max(2, Math.floor(key.length / 3));
+  return bestDistance <= threshold ? best : null;
+}
+
+/**
+ * Describe the JSON type of a value the same way the schema does
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate a value against a schema entry, collecting issues
+ */
+function validateValue(value, schema, path, context) {
+  const expected = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const actual = typeOf(value);
+
+  if (actual === 'null' && schema.nullable) {
+    return;
+  }
+
+  if (schema.type && !expected.includes(actual)) {
+    context.report('error', path, `must be ${expected.join(' or ')}, got ${actual}`);
+    return;
+  }
+
+  if (schema.validate) {
+    const result = schema.validate(value);
+    if (result !== true) {
+      context.report('error', path, result);
+      return;
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, joinPath(path, index), context));
+  }
+
+  if (actual === 'object' && schema.properties) {
+    validateObject(value, schema.properties, path, context, true);
+  }
+
+  if (actual === 'object' && schema.values) {
+    for (const [key, item] of Object.entries(value)) {
+      validateValue(item, schema.values, joinPath(path, key), context);
+    }
+  }
+}
+
+/**
+ * Validate an object against a properties map, collecting issues
+ */
+function validateObject(object, properties, path, context, checkRequired) {
+  const knownKeys = Object.keys(properties);
+
+  for (const [key, value] of Object.entries(object)) {
+    const childPath = joinPath(path, key);
+    const schema = properties[key];
+
+    if (!schema) {
+      const suggestion = suggestKey(key, knownKeys);
+      context.report(
+        'warning',
+        childPath,
+        suggestion ? `unknown key "${key}", did you mean "${suggestion}"?` : `unknown key "${key}"`,
+        { suggestion, atKey: true }
+      );
+      continue;
+    }
+
+    validateValue(value, schema, childPath, context);
+  }
+
+  if (!checkRequired) {
+    return;
+  }
+
+  for (const [key, schema] of Object.entries(properties)) {
+    if (object[key] !== undefined) continue;
+
+    if (schema.required) {
+      context.report('error', path, `missing required key "${key}"`);
+    } else if (schema.recommended) {
+      context.report('warning', path, `missing key "${key}" (${schema.recommended})`);
+    }
+  }
+}
+
+/**
+ * Validate a parsed configuration object
+ *
+ * @param {object} config - Parsed .deployrc.json contents
+ * @param {object} [options]
+ * @param {Map} [options.locations] - Location map from parseJsonWithLocations()
+ * @param {boolean} [options.checkRequired=true] - Report missing required keys
+ * @returns {Array<{ severity: 'error'|'warning', path: string, message: string, line: number|null, column: number|null, suggestion?: string }>}
+ */
+export function validateConfig(config, options = {}) {
+  const { locations = new Map(), checkRequired = true } = options;
+  const issues = [];
+
+  const context = {
+    report(severity, path, message, extra = {}) {
+      const location = locations.get(path) || locations.get('') || {};
+      const line = extra.atKey && location.keyLine ? location.keyLine : location.line;
+      const column = extra.atKey && location.keyColumn ? location.keyColumn : location.column;
+
+      issues.push({
+        severity,
+        path,
+        message,
+        line: line || null,
+        column: column || null,
+        ...(extra.suggestion ? { suggestion: extra.suggestion } : {})
+      });
+    }
+  };
+
+  if (typeOf(config) !== 'object') {
+    context.report('error', '', `configuration must be an object, got ${typeOf(config)}`);
+    return issues;
+  }
+
+  for (const [path, location] of locations) {
+    if (path.endsWith('#duplicate')) {
+      issues.push({
+        severity: 'warning',
+        path: path.replace(/#duplicate$/, ''),
+        message: 'duplicate key, the last value wins',
+        line: location.line,
+        column: location.column
+      });
+    }
+  }
+
+  validateObject(config, CONFIG_SCHEMA, '', context, checkRequired);
+
+  return issues.sort((a, b) => (a.line || 0) - (b.line || 0) || (a.column || 0) - (b.column || 0));
+}
+
+/**
+ * Report required keys missing from a fully merged configuration
+ */
+export function checkRequiredKeys(config) {
+  const issues = [];
+
+  for (const [key, schema] of Object.entries(CONFIG_SCHEMA)) {
+    if (config[key] !== undefined) continue;
+
+    if (schema.required) {
+      issues.push({ severity: 'error', path: '', message: `missing required key "${key}"`, line: null, column: null });
+    } else if (schema.recommended) {
+      issues.push({ severity: 'warning', path: '', message: `missing key "${key}" (${schema.recommended})`, line: null, column: null });
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Format a validation issue as "file:line:column path: message"
+ * The issue's own file (set for layered configs) takes precedence.
+ */
+export function formatIssue(issue, file = '.deployrc.json') {
+  file = issue.file || file;
+  const position = issue.line ? `${file}:${issue.line}:${issue.column}` : file;
+  const subject = issue.path ? `${issue.path}: ` : '';
+  return `${position} ${subject}${issue.message}`;
+}
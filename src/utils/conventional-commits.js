@@ -0,0 +1,88 @@
+/**
+ * Conventional commit parsing for "es version --auto"
+ * https://www.conventionalcommits.org/
+ */
+
+// Commit types that produce a changelog entry, mapped to our changelog types
+export const CHANGELOG_TYPES = {
+  feat: 'New',
+  fix: 'Fix',
+  security: 'Security',
+  perf: 'Update'
+};
+
+const RELEASE_ORDER = ['patch', 'minor', 'major'];
+
+/**
+ * Parse a commit subject and body
+ *
+ *   feat(checkout): add express button
+ *   fix!: drop legacy hook
+ *
+ * @returns {{ type: string, scope: string|null, breaking: boolean, description: string }|null}
+ */
+export function parseConventionalCommit(subject, body = '') {
+  const match = subject.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] || null,
+    breaking: Boolean(match[3]) || /^BREAKING[ -]CHANGE:/m.test(body),
+    description: match[4].trim()
+  };
+}
+
+/**
+ * Release type implied by a single commit, or null if it doesn't warrant one
+ */
+function releaseTypeFor(commit) {
+  if (commit.breaking) return 'major';
+  if (commit.type === 'feat') return 'minor';
+  if (CHANGELOG_TYPES[commit.type]) return 'patch';
+  return null;
+}
+
+/**
+ * Analyze commits for a release
+ *
+ * @param {Array<{ subject: string, body: string }>} commits
+ * @returns {{ releaseType: 'major'|'minor'|'patch'|null, entries: string[], parsed: Array<object>, ignored: number }}
+ */
+export function analyzeCommits(commits) {
+  const parsed = [];
+  let ignored = 0;
+
+  for (const commit of commits) {
+    const conventional = parseConventionalCommit(commit.subject, commit.body);
+    if (conventional && releaseTypeFor(conventional)) {
+      parsed.push({ ...commit, ...conventional });
+    } else {
+      ignored++;
+    }
+  }
+
+  let releaseType = null;
+  for (const commit of parsed) {
+    const type = releaseTypeFor(commit);
+    if (RELEASE_ORDER.indexOf(type) > RELEASE_ORDER.indexOf(releaseType)) {
+      releaseType = type;
+    }
+  }
+
+  // Oldest first so the changelog reads in the order things happened
+  const entries = [];
+  for (const commit of [...parsed].reverse()) {
+    const changelogType = CHANGELOG_TYPES[commit.type] || 'Update';
+    const description = commit.description.charAt(0).toUpperCase() + commit.description.slice(1);
+    const entry = `${changelogType}: ${description}`;
+
+    if (!entries.some(e => e.toLowerCase() === entry.toLowerCase())) {
+      entries.push(entry);
+    }
+  }
+
+  return { releaseType, entries, parsed, ignored };
+}
@@ -0,0 +1,372 @@
+import { readFile, writeFile, mkdir, rm, stat, chmod } from 'fs/promises';
+import { join, dirname } from 'path';
+import { homedir } from 'os';
+import { fileURLToPath } from 'url';
+import { parse as parseDotenv } from 'dotenv';
+import { execa } from 'execa';
+import { validateProfileName } from './profile-name.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const DEFAULT_API_URL = 'https://woocommerce.com/wp-json/wc/submission/runner/v1';
+export const DEFAULT_PROFILE = 'default';
+
+/**
+ * Thrown when credentials cannot be found or a credential source is unusable
+ */
+export class CredentialError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialError';
+  }
+}
+
+/**
+ * Path of the credentials file written by "es auth login"
+ * Follows the XDG base directory spec; ES_CREDENTIALS_FILE overrides it.
+ */
+export function getCredentialsFilePath(env = process.env) {
+  if (env.ES_CREDENTIALS_FILE) {
+    return env.ES_CREDENTIALS_FILE;
+  }
+
+  const configHome = env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'es', 'credentials.json');
+}
+
+/**
+ * Refuse profile names that are not safe in variable names and credentialCommand
+ * The config schema checks credentialProfile too; this also covers --profile
+ * and the extensions config.
+ */
+function assertProfileName(profile) {
+  const valid = validateProfileName(profile);
+  if (valid !== true) {
+    throw new CredentialError(`Invalid credential profile "${profile}": ${valid}`);
+  }
+}
+
+/**
+ * Build provider options from a resolved project config
+ */
+export function getCredentialOptions(config = {}) {
+  return {
+    credentialCommand: config.credentialCommand,
+    profile: config.credentialProfile || DEFAULT_PROFILE
+  };
+}
+
+/**
+ * Variable names for a profile: WCCOM_USER for the default profile,
+ * WCCOM_AGENCY_USER for a profile named "agency"
+ */
+export function profileVariableNames(profile = DEFAULT_PROFILE) {
+  const prefix = profile === DEFAULT_PROFILE
+    ? 'WCCOM'
+    : `WCCOM_${profile.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+
+  return {
+    user: `${prefix}_USER`,
+    password: `${prefix}_PASSWORD`,
+    apiUrl: `${prefix}_API_URL`
+  };
+}
+
+/**
+ * Read a file, returning null if it does not exist
+ */
+async function readOptionalFile(path) {
+  try {
+    return await readFile(path, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Check that a secrets file is not readable by group or others
+ * @returns {Promise<boolean>}
+ */
+export async function hasRestrictedPermissions(path) {
+  if (process.platform === 'win32') {
+    return true;
+  }
+
+  const stats = await stat(path);
+  return (stats.mode & 0o077) === 0;
+}
+
+/**
+ * Build a credentials object, or null if the username or password is missing
+ */
+function toCredentials(username, password, apiUrl, source, profile) {
+  if (!username || !password) {
+    return null;
+  }
+
+  return {
+    username,
+    password,
+    apiUrl: apiUrl || DEFAULT_API_URL,
+    source,
+    profile
+  };
+}
+
+/**
+ * Read and parse the credentials file
+ *
+ * Format: { "profiles": { "default": { "username", "password", "apiUrl"? }, ... } }
+ * A flat { "username", "password" } file is read as the default profile.
+ *
+ * @returns {Promise<object|null>} Profiles keyed by name, or null if there is no file
+ */
+async function readCredentialsFile(env) {
+  const path = getCredentialsFilePath(env);
+  const content = await readOptionalFile(path);
+  if (content === null) {
+    return null;
+  }
+
+  if (!await hasRestrictedPermissions(path)) {
+    throw new CredentialError(`${path} is readable by other users. Run: chmod 600 ${path}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new CredentialError(`${path} is not valid JSON: ${error.message}`);
+  }
+
+  if (data.profiles) {
+    return data.profiles;
+  }
+
+  return data.username ? { [DEFAULT_PROFILE]: data } : {};
+}
+
+/**
+ * Write profiles to the credentials file with 0600 permissions
+ */
+async function writeCredentialsFile(profiles, env) {
+  const path = getCredentialsFilePath(env);
+  await mkdir(dirname(path), { recursive: true, mode: 0o700 });
+  await writeFile(path, JSON.stringify({ profiles }, null, 2) + '\n', { encoding: 'utf-8', mode: 0o600 });
+  // writeFile only applies mode when creating the file
+  await chmod(path, 0o600);
+  return path;
+}
+
+/**
+ * Credential providers, in lookup order.
+ *
+ * Each provider has a name, a human readable location and a resolve()
+ * function that returns credentials or null when it has nothing to offer.
+ * A provider that is configured but broken (bad command output, file with
+ * open permissions) throws a CredentialError instead of being skipped.
+ */
+const PROVIDERS = [
+  {
+    name: 'command',
+    location: (options) => options.credentialCommand ? `credentialCommand: ${options.credentialCommand}` : 'credentialCommand (not configured)',
+    async resolve(options, env, profile) {
+      if (!options.credentialCommand) {
+        return null;
+      }
+
+      // The profile is available as {profile} in the command and as ES_CREDENTIAL_PROFILE
+      let output;
+      try {
+        const result = await execa(options.credentialCommand.replaceAll('{profile}', profile), {
+          shell: true,
+          timeout: 30000,
+          env: { ES_CREDENTIAL_PROFILE: profile }
+        });
+        output = result.stdout;
+      } catch (error) {
+        throw new CredentialError(`credentialCommand failed: ${error.shortMessage || error.message}`);
+      }
+
+      let data;
+      try {
+        data = JSON.parse(output);
+      } catch (error) {
+        throw new CredentialError('credentialCommand must print JSON: { "username": "...", "password": "..." }');
+      }
+
+      const credentials = toCredentials(data.username, data.password, data.apiUrl, 'command', profile);
+      if (!credentials) {
+        throw new CredentialError('credentialCommand output is missing "username" or "password"');
+      }
+      return credentials;
+    }
+  },
+  {
+    name: 'environment',
+    location: (options, env, profile) => {
+      const names = profileVariableNames(profile);
+      return `${names.user} / ${names.password} environment variables`;
+    },
+    async resolve(options, env, profile) {
+      const names = profileVariableNames(profile);
+      const isDefault = profile === DEFAULT_PROFILE;
+
+      return toCredentials(
+        env[names.user] || (isDefault ? env.WC_USERNAME : undefined),
+        env[names.password] || (isDefault ? env.WC_APP_PASSWORD : undefined),
+        env[names.apiUrl] || (isDefault ? env.WC_API_URL : undefined),
+        'environment',
+        profile
+      );
+    }
+  },
+  {
+    name: 'credentials-file',
+    location: (options, env) => getCredentialsFilePath(env),
+    async resolve(options, env, profile) {
+      const profiles = await readCredentialsFile(env);
+      const data = profiles?.[profile];
+      return data ? toCredentials(data.username, data.password, data.apiUrl, 'credentials-file', profile) : null;
+    }
+  },
+  {
+    name: 'wccom-deploy',
+    location: () => join(homedir(), '.wccom-deploy'),
+    async resolve(options, env, profile) {
+      const path = join(homedir(), '.wccom-deploy');
+      const content = await readOptionalFile(path);
+      if (content === null) {
+        return null;
+      }
+
+      if (!await hasRestrictedPermissions(path)) {
+        throw new CredentialError(`${path} is readable by other users. Run: chmod 600 ${path}`);
+      }
+
+      const values = parseDotenv(content);
+      const names = profileVariableNames(profile);
+      return toCredentials(values[names.user], values[names.password], values[names.apiUrl], 'wccom-deploy', profile);
+    }
+  },
+  {
+    // Legacy: .env next to the es-cli package (WC_USERNAME / WC_APP_PASSWORD)
+    name: 'package-env',
+    location: () => join(__dirname, '../../.env'),
+    async resolve(options, env, profile) {
+      if (profile !== DEFAULT_PROFILE) {
+        return null;
+      }
+
+      const content = await readOptionalFile(join(__dirname, '../../.env'));
+      if (content === null) {
+        return null;
+      }
+
+      const values = parseDotenv(content);
+      return toCredentials(values.WC_USERNAME, values.WC_APP_PASSWORD, values.WC_API_URL, 'package-env', profile);
+    }
+  }
+];
+
+/**
+ * Get WooCommerce.com credentials from the first provider that has them
+ *
+ * @param {object} [options]
+ * @param {string} [options.credentialCommand] - Command that prints credentials as JSON
+ * @param {string} [options.profile] - Named credential profile (default: "default")
+ * @param {object} [env] - Environment variables
+ * @returns {Promise<{ username: string, password: string, apiUrl: string, source: string, profile: string }>}
+ */
+export async function getCredentials(options = {}, env = process.env) {
+  const profile = options.profile || DEFAULT_PROFILE;
+  assertProfileName(profile);
+
+  for (const provider of PROVIDERS) {
+    const credentials = await provider.resolve(options, env, profile);
+    if (credentials) {
+      return credentials;
+    }
+  }
+
+  const names = profileVariableNames(profile);
+  const loginHint = profile === DEFAULT_PROFILE ? 'es auth login' : `es auth login --profile ${profile}`;
+  throw new CredentialError(
+    `WooCommerce.com credentials not found for profile "${profile}". ` +
+    `Run "${loginHint}", set ${names.user} and ${names.password}, or configure credentialCommand.`
+  );
+}
+
+/**
+ * Describe every credential source and whether it currently provides credentials
+ * Used by "es auth status".
+ *
+ * @returns {Promise<Array<{ name: string, location: string, credentials: object|null, error: string|null }>>}
+ */
+export async function describeCredentialSources(options = {}, env = process.env) {
+  const profile = options.profile || DEFAULT_PROFILE;
+  assertProfileName(profile);
+  const results = [];
+
+  for (const provider of PROVIDERS) {
+    const entry = { name: provider.name, location: provider.location(options, env, profile), credentials: null, error: null };
+
+    try {
+      entry.credentials = await provider.resolve(options, env, profile);
+    } catch (error) {
+      entry.error = error.message;
+    }
+
+    results.push(entry);
+  }
+
+  return results;
+}
+
+/**
+ * List profile names stored in the credentials file
+ */
+export async function listStoredProfiles(env = process.env) {
+  const profiles = await readCredentialsFile(env);
+  return profiles ? Object.keys(profiles) : [];
+}
+
+/**
+ * Store credentials for a profile in the credentials file (mode 0600)
+ * @returns {Promise<string>} Path of the credentials file
+ */
+export async function saveCredentials({ username, password, apiUrl }, profile = DEFAULT_PROFILE, env = process.env) {
+  assertProfileName(profile);
+  const profiles = (await readCredentialsFile(env)) || {};
+
+  const data = { username, password };
+  if (apiUrl && apiUrl !== DEFAULT_API_URL) {
+    data.apiUrl = apiUrl;
+  }
+  profiles[profile] = data;
+
+  return writeCredentialsFile(profiles, env);
+}
+
+/**
+ * Remove a profile from the credentials file, deleting the file when empty
+ * @returns {Promise<boolean>} true if the profile existed
+ */
+export async function removeCredentials(profile = DEFAULT_PROFILE, env = process.env) {
+  const profiles = await readCredentialsFile(env);
+  if (!profiles || !profiles[profile]) {
+    return false;
+  }
+
+  delete profiles[profile];
+
+  if (Object.keys(profiles).length === 0) {
+    await rm(getCredentialsFilePath(env), { force: true });
+  } else {
+    await writeCredentialsFile(profiles, env);
+  }
+
+  return true;
+}
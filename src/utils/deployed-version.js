@@ -1,4 +1,47 @@
 import { execa } from 'execa';
+import semver from 'semver';
+import { VERSION_PATTERN } from './version-pattern.js';
+import { parseChangelog } from './changelog.js';
+
+// Release header anywhere in the text, for changelogs that run headers into other lines
+const INLINE_RELEASE_HEADER = new RegExp(`\\d{4}[.\\-/]\\d{2}[.\\-/]\\d{2}\\s*[-–]\\s*version\\s+${VERSION_PATTERN}`, 'gi');
+
+/**
+ * Fetch the changelog WooCommerce.com shows for a product
+ * It uses the changelog.txt format, so it can be read with parseChangelog().
+ *
+ * @returns {Promise<string>} Raw changelog text
+ */
+export async function fetchRemoteChangelog(productId) {
+  const url = `https://woocommerce.com/wp-json/wccom/changelog/1.0/product/${productId}`;
+  const response = await fetch(url);
+
+  if (!response.ok) {
+    throw new Error(`API returned ${response.status}: ${response.statusText}`);
+  }
+
+  return response.text();
+}
+
+/**
+ * Parse the changelog WooCommerce.com returned
+ * parseChangelog() only sees headers on their own line; when the text holds
+ * more headers than that (e.g. joined with <br> or spaces), each header is
+ * moved onto its own line first so no release is missed.
+ */
+export function parseRemoteChangelog(raw) {
+  const changelog = parseChangelog(raw);
+  const headers = raw.match(INLINE_RELEASE_HEADER) || [];
+
+  if (headers.length <= changelog.releases.length) {
+    return changelog;
+  }
+
+  const eol = raw.includes('\r\n') ? '\r\n' : '\n';
+  return parseChangelog(raw
+    .replace(/<br\s*\/?>/gi, eol)
+    .replace(INLINE_RELEASE_HEADER, header => `${eol}${header}${eol}`));
+}
 
 /**
  * Get the deployed version from WooCommerce.com changelog API
@@ -16,24 +59,16 @@ export async function getDeployedVersion(productId) {
   }
 
   try {
-    const url = `https://woocommerce.com/wp-json/wccom/changelog/1.0/product/${productId}`;
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      return null;
-    }
-
-    const changelog = await response.text();
-
-    // Parse the first version entry from the changelog
-    // Format: YYYY.MM.DD - version X.Y.Z
-    const versionMatch = changelog.match(/(\d{4}\.\d{2}\.\d{2})\s*-\s*version\s+(\d+\.\d+\.\d+)/i);
+    const raw = await fetchRemoteChangelog(productId);
+    const changelog = parseRemoteChangelog(raw);
+    const latest = changelog.releases[0];
 
-    if (versionMatch) {
+    if (latest) {
       return {
-        version: versionMatch[2],
-        date: versionMatch[1],
-        raw: changelog
+        version: latest.version,
+        date: latest.date,
+        raw,
+        changelog
       };
     }
 
@@ -54,14 +89,71 @@ export async function getLatestGitTag() {
     });
 
     const tag = result.stdout.trim();
-    // Check if it looks like a version (e.g., 2.3.12 or v2.3.12)
-    const versionMatch = tag.match(/^v?(\d+\.\d+\.\d+)$/);
+    // Check if it looks like a version (e.g., 2.3.12, v2.3.12 or 2.4.0-beta.1)
+    const versionMatch = tag.match(new RegExp(`^v?(${VERSION_PATTERN})$`));
     return versionMatch ? versionMatch[1] : null;
   } catch (error) {
     return null;
   }
 }
 
+/**
+ * Get the highest version tag reachable from HEAD
+ * Unlike getLatestGitTag(), tags that are not versions are skipped rather
+ * than hiding older version tags.
+ *
+ * @returns {Promise<{ tag: string, version: string }|null>}
+ */
+export async function getLatestVersionTag() {
+  try {
+    const result = await execa('git', ['tag', '--merged', 'HEAD'], { timeout: 5000 });
+    const tagPattern = new RegExp(`^v?(${VERSION_PATTERN})$`);
+
+    const tags = result.stdout.split('\n')
+      .map(tag => tag.trim())
+      .map(tag => ({ tag, match: tag.match(tagPattern) }))
+      .filter(({ match }) => match && semver.valid(match[1]))
+      .map(({ tag, match }) => ({ tag, version: match[1] }));
+
+    if (tags.length === 0) {
+      return null;
+    }
+
+    return tags.sort((a, b) => semver.rcompare(a.version, b.version))[0];
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get commits since a ref (or all commits when ref is null), newest first
+ * Merge commits are skipped. A repository without commits has none to return.
+ *
+ * @returns {Promise<Array<{ hash: string, subject: string, body: string }>>}
+ */
+export async function getCommitsSince(ref) {
+  try {
+    await execa('git', ['rev-parse', '--verify', '--quiet', 'HEAD'], { timeout: 5000 });
+  } catch (error) {
+    return [];
+  }
+
+  const range = ref ? `${ref}..HEAD` : 'HEAD';
+
+  // Unit and record separators keep multi-line bodies intact
+  const result = await execa('git', ['log', '--no-merges', '--format=%H%x1f%s%x1f%b%x1e', range], {
+    timeout: 10000
+  });
+
+  return result.stdout.split('\x1e')
+    .map(record => record.trim())
+    .filter(record => record)
+    .map(record => {
+      const [hash, subject, body = ''] = record.split('\x1f');
+      return { hash, subject, body: body.trim() };
+    });
+}
+
 /**
  * Check if there are uncommitted changes to version-related files
  */
@@ -0,0 +1,62 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { homedir } from 'os';
+import { logger } from './logger.js';
+import { validateProfileName } from './profile-name.js';
+
+// Default extensions config location
+export const DEFAULT_EXTENSIONS_CONFIG_PATH = join(homedir(), '.es-extensions.json');
+
+/**
+ * Load extensions configuration
+ *
+ * Entries in "extensions" may be a path string, or an object that also names
+ * the credential profile to deploy with:
+ *
+ *   { "extensions": ["/path/to/a", { "path": "/path/to/b", "credentialProfile": "agency" }] }
+ *
+ * @returns {{ extensions: Array<{ path: string, credentialProfile: string|null }> }|null}
+ */
+export function loadExtensionsConfig(configPath = DEFAULT_EXTENSIONS_CONFIG_PATH) {
+  if (!existsSync(configPath)) {
+    return null;
+  }
+
+  try {
+    const content = readFileSync(configPath, 'utf8');
+    const config = JSON.parse(content);
+
+    return {
+      ...config,
+      extensions: (config.extensions || []).map(normalizeExtensionEntry)
+    };
+  } catch (error) {
+    logger.error(`Failed to parse extensions config: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Normalize an extensions entry to { path, credentialProfile }
+ */
+export function normalizeExtensionEntry(entry) {
+  if (typeof entry === 'string') {
+    return { path: entry, credentialProfile: null };
+  }
+
+  if (!entry || typeof entry.path !== 'string') {
+    throw new Error(`Invalid extension entry: ${JSON.stringify(entry)} (expected a path or { "path": "..." })`);
+  }
+
+  if (entry.credentialProfile) {
+    const valid = validateProfileName(entry.credentialProfile);
+    if (valid !== true) {
+      throw new Error(`Invalid credentialProfile "${entry.credentialProfile}" for ${entry.path}: ${valid}`);
+    }
+  }
+
+  return {
+    path: entry.path,
+    credentialProfile: entry.credentialProfile || null
+  };
+}
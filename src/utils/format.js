@@ -0,0 +1,45 @@
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+/**
+ * Format bytes to human readable string
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a size change as "+1.2 KB" or "-300 B"
+ */
+export function formatSizeDelta(bytes) {
+  return `${bytes < 0 ? '-' : '+'}${formatBytes(Math.abs(bytes))}`;
+}
+
+/**
+ * Format milliseconds as "850ms" or "2.4s"
+ */
+export function formatDuration(ms) {
+  if (ms < 1000) return `${ms}ms`;
+  return `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Parse a zipSizeThreshold limit: "20%", "2MB", "500 KB" or a number of bytes
+ *
+ * @returns {{ percent: number }|{ bytes: number }|null} null if the value is not a size
+ */
+export function parseSizeLimit(value) {
+  if (typeof value === 'number') {
+    return value >= 0 ? { bytes: value } : null;
+  }
+
+  const match = /^(\d+(?:\.\d+)?)\s*(%|b|kb|mb|gb)?$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 'b').toLowerCase();
+  return unit === '%' ? { percent: amount } : { bytes: Math.round(amount * SIZE_UNITS[unit]) };
+}
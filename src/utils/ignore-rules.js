@@ -0,0 +1,164 @@
+/**
+ * gitignore-style rules for deciding what goes into the distribution zip
+ *
+ * Patterns follow .gitignore semantics:
+ * - "*" and "?" do not cross "/", "[abc]" matches one character
+ * - "**" matches any number of directories ("**\/logs", "docs/**", "a/**\/b")
+ * - a pattern with a "/" at the start or in the middle is anchored to the project root;
+ *   otherwise it matches at any depth
+ * - a trailing "/" only matches directories
+ * - "!" re-includes what an earlier rule excluded; the last matching rule wins
+ *
+ * Every rule remembers where it came from so "es zip --explain" can name it.
+ */
+
+/**
+ * Convert a glob body (no leading "!" or trailing "/") to a regex source
+ */
+function globToRegexSource(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const atStart = i === 0 || glob[i - 1] === '/';
+        const atEnd = i + 2 === glob.length || glob[i + 2] === '/';
+
+        if (atStart && atEnd) {
+          if (i + 2 === glob.length) {
+            // "docs/**": everything inside
+            source += '.*';
+          } else {
+            // "**/x" or "a/**/b": zero or more directories
+            source += '(?:.*/)?';
+            i++;
+          }
+          i++;
+          continue;
+        }
+
+        // "a**b" behaves like "a*b"
+        i++;
+      }
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let set = glob.slice(i + 1, end).replace(/\\/g, '\\\\');
+        if (set.startsWith('!')) set = '^' + set.slice(1);
+        source += `[${set}]`;
+        i = end;
+      }
+    } else if (char === '\\' && i + 1 < glob.length) {
+      source += glob[++i].replace(/[.+?^${}()|[\]\\*]/g, '\\$&');
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Parse one pattern into a rule
+ *
+ * @param {string} pattern - e.g. "node_modules", "/build/", "!assets/js/*.min.js"
+ * @param {string} source - Where the rule came from, e.g. ".distignore:4" or "default"
+ * @returns {{ pattern: string, source: string, negate: boolean, dirOnly: boolean, regex: RegExp }|null}
+ */
+export function parseIgnoreRule(pattern, source) {
+  let body = pattern.replace(/(?<!\\)\s+$/, '');
+  if (body === '' || body.startsWith('#')) {
+    return null;
+  }
+
+  let negate = false;
+  if (body.startsWith('!')) {
+    negate = true;
+    body = body.slice(1);
+  } else if (body.startsWith('\\!') || body.startsWith('\\#')) {
+    body = body.slice(1);
+  }
+
+  let dirOnly = false;
+  if (body.endsWith('/')) {
+    dirOnly = true;
+    body = body.replace(/\/+$/, '');
+  }
+
+  if (body === '') {
+    return null;
+  }
+
+  const anchored = body.includes('/');
+  body = body.replace(/^\//, '');
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const regex = new RegExp(`${prefix}${globToRegexSource(body)}$`);
+
+  return { pattern: pattern.trim(), source, negate, dirOnly, regex };
+}
+
+/**
+ * Parse a .gitignore-style file (.distignore) into rules
+ */
+export function parseIgnoreFile(text, file) {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => parseIgnoreRule(line, `${file}:${index + 1}`))
+    .filter(Boolean);
+}
+
+/**
+ * Parse the export-ignore entries of a .gitattributes file into rules
+ *
+ *   tests/          export-ignore
+ *   phpunit.xml     export-ignore
+ *   /docs           export-ignore linguist-documentation
+ */
+export function parseExportIgnore(text, file = '.gitattributes') {
+  const rules = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) return;
+
+    const [pattern, ...attributes] = trimmed.split(/\s+/);
+    if (!attributes.includes('export-ignore')) return;
+
+    const rule = parseIgnoreRule(pattern, `${file}:${index + 1}`);
+    if (rule && !rule.negate) {
+      rules.push(rule);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Rules that match a path, in order
+ *
+ * @param {Array<object>} rules
+ * @param {string} path - Relative to the project root, with "/" separators
+ * @param {boolean} isDir
+ */
+export function matchingRules(rules, path, isDir) {
+  return rules.filter(rule => (!rule.dirOnly || isDir) && rule.regex.test(path));
+}
+
+/**
+ * Decide whether a path is excluded; the last matching rule wins
+ *
+ * @returns {{ excluded: boolean, rule: object|null }}
+ */
+export function testIgnoreRules(rules, path, isDir) {
+  const matches = matchingRules(rules, path, isDir);
+  const rule = matches[matches.length - 1] || null;
+  return { excluded: Boolean(rule && !rule.negate), rule };
+}
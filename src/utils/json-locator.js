@@ -0,0 +1,223 @@
+/**
+ * Minimal JSON parser that records where every value lives in the source text.
+ *
+ * JSON.parse() only reports a character offset for syntax errors and nothing at
+ * all for valid documents, which makes it impossible to point at the offending
+ * key when a config value is wrong. This parser produces the same value as
+ * JSON.parse() plus a map of property path → { line, column }.
+ *
+ * Paths use dot/bracket notation: "versionFiles[0].pattern". The root is "".
+ */
+
+export class JsonSyntaxError extends Error {
+  constructor(message, line, column) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = 'JsonSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Join a parent path and a key/index into a display path
+ */
+export function joinPath(parent, key) {
+  if (typeof key === 'number') {
+    return `${parent}[${key}]`;
+  }
+  return parent ? `${parent}.${key}` : key;
+}
+
+/**
+ * Parse JSON text, returning the value and a location map
+ * @param {string} text
+ * @returns {{ value: any, locations: Map<string, { line: number, column: number, keyLine?: number, keyColumn?: number }> }}
+ */
+export function parseJsonWithLocations(text) {
+  // Tolerate a UTF-8 BOM like most editors write
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  const locations = new Map();
+  let pos = 0;
+
+  function locate(index) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= index) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: index - lineStarts[low] + 1 };
+  }
+
+  function fail(message, index = pos) {
+    const { line, column } = locate(Math.min(index, source.length));
+    throw new JsonSyntaxError(message, line, column);
+  }
+
+  function skipWhitespace() {
+    while (pos < source.length && /\s/.test(source[pos])) pos++;
+  }
+
+  function describe(index) {
+    return index >= source.length ? 'end of input' : `token ${JSON.stringify(source[index])}`;
+  }
+
+  function parseString() {
+    const start = pos;
+    pos++; // opening quote
+    let result = '';
+
+    while (pos < source.length) {
+      const ch = source[pos];
+      if (ch === '"') {
+        pos++;
+        return result;
+      }
+      if (ch === '\\') {
+        const next = source[pos + 1];
+        const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        if (next in escapes) {
+          result += escapes[next];
+          pos += 2;
+          continue;
+        }
+        if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(pos + 2, pos + 6))) {
+          result += String.fromCharCode(parseInt(source.slice(pos + 2, pos + 6), 16));
+          pos += 6;
+          continue;
+        }
+        fail('Invalid escape sequence in string');
+      }
+      if (ch === '\n' || ch.charCodeAt(0) < 0x20) {
+        fail('Unterminated string', start);
+      }
+      result += ch;
+      pos++;
+    }
+
+    fail('Unterminated string', start);
+  }
+
+  function parseNumber() {
+    const match = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/.exec(source.slice(pos));
+    if (!match) fail(`Unexpected ${describe(pos)}`);
+    pos += match[0].length;
+    return Number(match[0]);
+  }
+
+  function parseLiteral(word, value) {
+    if (source.startsWith(word, pos)) {
+      pos += word.length;
+      return value;
+    }
+    fail(`Unexpected ${describe(pos)}`);
+  }
+
+  function parseObject(path) {
+    const result = {};
+    pos++; // {
+    skipWhitespace();
+
+    if (source[pos] === '}') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      skipWhitespace();
+      if (source[pos] !== '"') {
+        fail(source[pos] === '}' ? 'Trailing comma in object' : `Expected property name, found ${describe(pos)}`);
+      }
+
+      const keyLocation = locate(pos);
+      const key = parseString();
+      skipWhitespace();
+      if (source[pos] !== ':') fail(`Expected ":" after property name, found ${describe(pos)}`);
+      pos++;
+
+      const childPath = joinPath(path, key);
+      if (Object.prototype.hasOwnProperty.call(result, key)) {
+        locations.set(`${childPath}#duplicate`, keyLocation);
+      }
+      // Like JSON.parse, a "__proto__" key is an own property, not the prototype
+      Object.defineProperty(result, key, {
+        value: parseValue(childPath),
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+
+      const valueLocation = locations.get(childPath);
+      locations.set(childPath, { ...valueLocation, keyLine: keyLocation.line, keyColumn: keyLocation.column });
+
+      skipWhitespace();
+      if (source[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (source[pos] === '}') {
+        pos++;
+        return result;
+      }
+      fail(`Expected "," or "}" in object, found ${describe(pos)}`);
+    }
+  }
+
+  function parseArray(path) {
+    const result = [];
+    pos++; // [
+    skipWhitespace();
+
+    if (source[pos] === ']') {
+      pos++;
+      return result;
+    }
+
+    while (true) {
+      skipWhitespace();
+      if (source[pos] === ']') fail('Trailing comma in array');
+      result.push(parseValue(joinPath(path, result.length)));
+
+      skipWhitespace();
+      if (source[pos] === ',') {
+        pos++;
+        continue;
+      }
+      if (source[pos] === ']') {
+        pos++;
+        return result;
+      }
+      fail(`Expected "," or "]" in array, found ${describe(pos)}`);
+    }
+  }
+
+  function parseValue(path) {
+    skipWhitespace();
+    locations.set(path, locate(pos));
+
+    const ch = source[pos];
+    if (ch === '{') return parseObject(path);
+    if (ch === '[') return parseArray(path);
+    if (ch === '"') return parseString();
+    if (ch === 't') return parseLiteral('true', true);
+    if (ch === 'f') return parseLiteral('false', false);
+    if (ch === 'n') return parseLiteral('null', null);
+    if (ch === '-' || (ch >= '0' && ch <= '9')) return parseNumber();
+    fail(`Unexpected ${describe(pos)}`);
+  }
+
+  const value = parseValue('');
+  skipWhitespace();
+  if (pos < source.length) {
+    fail(`Unexpected ${describe(pos)} after JSON document`);
+  }
+
+  return { value, locations };
+}
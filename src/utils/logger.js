@@ -1,8 +1,23 @@
 import chalk from 'chalk';
 import ora from 'ora';
 
+// When quiet, only warnings and errors are printed (used by "es watch")
+let quiet = false;
+
+// Spinners redraw one line, so they are turned off while build tasks run in parallel
+let interactive = true;
+
 export const logger = {
+  setQuiet(value) {
+    quiet = value;
+  },
+
+  setInteractive(value) {
+    interactive = value;
+  },
+
   success(message) {
+    if (quiet) return;
     console.log(chalk.green('✔'), message);
   },
 
@@ -11,6 +26,7 @@ export const logger = {
   },
 
   info(message) {
+    if (quiet) return;
     console.log(chalk.blue('ℹ'), message);
   },
 
@@ -19,13 +35,16 @@ export const logger = {
   },
 
   step(message) {
+    if (quiet) return;
     console.log(chalk.cyan('→'), message);
   },
 
   spinner(text) {
     return ora({
       text,
-      color: 'cyan'
+      color: 'cyan',
+      isSilent: quiet,
+      ...(interactive ? {} : { isEnabled: false })
     }).start();
   }
 };
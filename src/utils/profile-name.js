@@ -0,0 +1,15 @@
+/**
+ * Credential profile names end up in environment variable names and in
+ * credentialCommand (as {profile}, run through a shell), so they are limited
+ * to letters, numbers, dashes and underscores.
+ */
+export const PROFILE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Check a credential profile name
+ *
+ * @returns {true|string} true, or an error message
+ */
+export function validateProfileName(value) {
+  return PROFILE_NAME_PATTERN.test(value) || 'must only contain letters, numbers, dashes and underscores';
+}
@@ -0,0 +1,179 @@
+import semver from 'semver';
+import { isPrerelease } from './version-pattern.js';
+
+export const RELEASE_NOTE_FORMATS = ['md', 'html', 'text', 'json'];
+
+// Customer-facing section for each changelog entry type, in display order
+const SECTIONS = [
+  { title: 'New', types: ['new', 'added', 'add', 'feature'] },
+  { title: 'Improvements', types: ['update', 'tweak', 'enhancement', 'perf', 'performance'] },
+  { title: 'Fixes', types: ['fix', 'fixed'] },
+  { title: 'Security', types: ['security'] },
+  { title: 'Removed', types: ['remove', 'removed', 'deprecated'] }
+];
+
+const OTHER_SECTION = 'Other';
+
+/**
+ * Convert a changelog date (2025.12.07) to ISO format (2025-12-07)
+ */
+function isoDate(date) {
+  return date.replace(/[./]/g, '-');
+}
+
+/**
+ * Select releases from a parsed changelog
+ *
+ * - No range: the latest release
+ * - from only: that release
+ * - from and to: every release between them, inclusive
+ * - since / until (YYYY-MM-DD): releases dated within the range, inclusive
+ *
+ * Ranges skip pre-releases unless one of the endpoints is a pre-release.
+ *
+ * @param {object} changelog - From parseChangelog()
+ * @param {{ from?: string, to?: string, since?: string, until?: string }} range
+ * @returns {Array<object>} Releases, newest first
+ */
+export function selectReleases(changelog, range = {}) {
+  const { from, to, since, until } = range;
+  let releases = changelog.releases.filter(release => semver.valid(release.version));
+
+  if ((to || since || until) && !isPrerelease(from || '') && !isPrerelease(to || '')) {
+    releases = releases.filter(release => !isPrerelease(release.version));
+  }
+
+  if (since || until) {
+    releases = releases.filter(release => {
+      const date = isoDate(release.date);
+      return (!since || date >= since) && (!until || date <= until);
+    });
+  }
+
+  if (from && to) {
+    const [low, high] = semver.lte(from, to) ? [from, to] : [to, from];
+    return releases.filter(release => semver.gte(release.version, low) && semver.lte(release.version, high));
+  }
+
+  if (from) {
+    return releases.filter(release => release.version === from);
+  }
+
+  if (since || until) {
+    return releases;
+  }
+
+  return releases.slice(0, 1);
+}
+
+/**
+ * Group the entries of several releases by customer-facing section
+ * Duplicate entries across releases are listed once, under the newest release.
+ *
+ * @returns {Array<{ title: string, entries: Array<{ description: string, version: string }> }>}
+ */
+export function groupEntries(releases) {
+  const groups = new Map();
+  const seen = new Set();
+
+  for (const release of releases) {
+    for (const entry of release.entries) {
+      const key = entry.text.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const type = (entry.type || '').toLowerCase();
+      const section = SECTIONS.find(s => s.types.includes(type));
+      const title = section ? section.title : OTHER_SECTION;
+
+      if (!groups.has(title)) groups.set(title, []);
+      groups.get(title).push({ description: entry.type ? entry.description : entry.text, version: release.version });
+    }
+  }
+
+  const order = [...SECTIONS.map(s => s.title), OTHER_SECTION];
+  return order
+    .filter(title => groups.has(title))
+    .map(title => ({ title, entries: groups.get(title) }));
+}
+
+/**
+ * Build the release notes for one extension
+ *
+ * @param {string} name - Extension name
+ * @param {Array<object>} releases - From selectReleases()
+ */
+export function buildReleaseNotes(name, releases) {
+  const versions = releases.map(r => r.version);
+
+  return {
+    name,
+    versions,
+    range: versions.length > 1 ? `${versions[versions.length - 1]} – ${versions[0]}` : (versions[0] || ''),
+    date: releases[0] ? isoDate(releases[0].date) : null,
+    sections: groupEntries(releases)
+  };
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Entry text, with its version when the notes cover several releases
+ */
+function entryLabel(notes, entry) {
+  return notes.versions.length > 1 ? `${entry.description} (${entry.version})` : entry.description;
+}
+
+/**
+ * Render release notes for one or more extensions
+ *
+ * @param {Array<object>} notesList - From buildReleaseNotes()
+ * @param {string} format - One of RELEASE_NOTE_FORMATS
+ * @returns {string}
+ */
+export function renderReleaseNotes(notesList, format = 'md') {
+  if (format === 'json') {
+    return JSON.stringify(notesList.length === 1 ? notesList[0] : notesList, null, 2) + '\n';
+  }
+
+  const blocks = notesList.map(notes => {
+    const heading = `${notes.name} ${notes.range}`.trim();
+
+    if (format === 'html') {
+      const lines = [`<h2>${escapeHtml(heading)}</h2>`];
+      for (const section of notes.sections) {
+        lines.push(`<h3>${escapeHtml(section.title)}</h3>`, '<ul>');
+        section.entries.forEach(entry => lines.push(`  <li>${escapeHtml(entryLabel(notes, entry))}</li>`));
+        lines.push('</ul>');
+      }
+      return lines.join('\n');
+    }
+
+    if (format === 'text') {
+      const lines = [heading, '='.repeat(heading.length)];
+      for (const section of notes.sections) {
+        lines.push('', section.title);
+        section.entries.forEach(entry => lines.push(`  - ${entryLabel(notes, entry)}`));
+      }
+      return lines.join('\n');
+    }
+
+    const lines = [`## ${heading}`];
+    for (const section of notes.sections) {
+      lines.push('', `### ${section.title}`, '');
+      section.entries.forEach(entry => lines.push(`- ${entryLabel(notes, entry)}`));
+    }
+    return lines.join('\n');
+  });
+
+  return blocks.join('\n\n') + '\n';
+}
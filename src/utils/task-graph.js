@@ -0,0 +1,104 @@
+import { availableParallelism } from 'os';
+
+/**
+ * Default number of build tasks and file copies to run at once
+ */
+export function defaultConcurrency() {
+  return Math.max(1, availableParallelism());
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight
+ * Resolves to the results in input order; rejects with the first error once
+ * the calls already in flight have settled.
+ */
+export async function mapConcurrent(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+}
+
+/**
+ * Run tasks in dependency order, at most `concurrency` at a time
+ *
+ * A task starts once every task in its deps has finished. If a task throws,
+ * no new tasks are started and the error is rethrown once the running tasks
+ * have settled.
+ *
+ * @param {Array<{ id: string, deps: string[], run: () => Promise<any> }>} tasks
+ * @param {{ concurrency?: number }} options
+ * @returns {Promise<Map<string, { value: any, start: number, duration: number }>>}
+ */
+export function runTaskGraph(tasks, { concurrency = 1 } = {}) {
+  const ids = new Set(tasks.map(task => task.id));
+  for (const task of tasks) {
+    const missing = task.deps.find(dep => !ids.has(dep));
+    if (missing) {
+      return Promise.reject(new Error(`"${task.id}" depends on unknown task "${missing}"`));
+    }
+  }
+
+  const finished = new Map();
+  const pending = [...tasks];
+  const running = new Set();
+  let failure = null;
+
+  return new Promise((resolve, reject) => {
+    const launch = () => {
+      if (failure) {
+        if (running.size === 0) reject(failure);
+        return;
+      }
+
+      for (const task of [...pending]) {
+        if (running.size >= concurrency) break;
+        if (!task.deps.every(dep => finished.has(dep))) continue;
+
+        pending.splice(pending.indexOf(task), 1);
+        running.add(task.id);
+
+        const start = Date.now();
+        Promise.resolve()
+          .then(task.run)
+          .then(value => {
+            finished.set(task.id, { value, start, duration: Date.now() - start });
+          }, error => {
+            failure = failure || error;
+          })
+          .finally(() => {
+            running.delete(task.id);
+            launch();
+          });
+      }
+
+      if (running.size === 0) {
+        if (pending.length === 0) {
+          resolve(finished);
+        } else {
+          reject(new Error(`circular dependency; these tasks can never start: ${pending.map(task => task.id).join(', ')}`));
+        }
+      }
+    };
+
+    launch();
+  });
+}
@@ -1,17 +1,60 @@
 import { readFile } from 'fs/promises';
 import { join } from 'path';
+import { glob } from 'glob';
 import chalk from 'chalk';
 import { logger } from './logger.js';
+import { VERSION_PATTERN } from './version-pattern.js';
+import { parseChangelog } from './changelog.js';
+import { locateVersionInFile } from '../tasks/version-updater.js';
+
+// Folders never scanned by the built-in detectors
+const SCAN_IGNORE = ['node_modules/**', 'vendor/**', 'dist/**', 'tests/**', 'test/**', '.git/**'];
+
+// Constants that hold a dependency version rather than the plugin's own:
+// WC_FOO_MIN_WC_VERSION, WC_FOO_REQUIRED_PHP_VERSION, WC_FOO_DB_VERSION
+const FOREIGN_CONSTANT = /(^|_)(MIN|MINIMUM|MAX|MAXIMUM|REQUIRED?|REQUIRES|TESTED)(_|$)|(^|_)(DB|SCHEMA|API|PHP|WP|WC|WOO|WOOCOMMERCE|WORDPRESS)_VERSION$/;
+
+/**
+ * Convert a string offset to a 1-based line number
+ */
+function lineAt(content, index) {
+  return content.slice(0, index).split('\n').length;
+}
+
+/**
+ * Read a file relative to the project, returning null if it does not exist
+ */
+async function readProjectFile(file) {
+  try {
+    return await readFile(join(process.cwd(), file), 'utf-8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find the first match of a regex with a version capture group
+ * @returns {{ version: string, line: number }|null}
+ */
+function matchVersion(content, regex) {
+  const match = content.match(regex);
+  if (!match) return null;
+
+  const versionIndex = match.index + match[0].lastIndexOf(match[1]);
+  return { version: match[1], line: lineAt(content, versionIndex) };
+}
 
 /**
  * Extract version from package.json
  */
 async function getPackageVersion() {
+  const content = await readProjectFile('package.json');
+  if (content === null) return null;
+
   try {
-    const packagePath = join(process.cwd(), 'package.json');
-    const content = await readFile(packagePath, 'utf-8');
     const pkg = JSON.parse(content);
-    return pkg.version || null;
+    if (!pkg.version) return null;
+    return matchVersion(content, /"version"\s*:\s*"([^"]+)"/) || { version: pkg.version, line: null };
   } catch (error) {
     return null;
   }
@@ -21,76 +64,233 @@ async function getPackageVersion() {
  * Extract version from main plugin file
  */
 async function getPluginVersion(mainFile) {
-  try {
-    const pluginPath = join(process.cwd(), mainFile);
-    const content = await readFile(pluginPath, 'utf-8');
+  const content = await readProjectFile(mainFile);
+  if (content === null) return null;
 
-    // Match: * Version: 2.3.11
-    const match = content.match(/\*\s*Version:\s*([0-9.]+)/i);
-    return match ? match[1] : null;
-  } catch (error) {
-    return null;
-  }
+  // Match: * Version: 2.3.11 (or 2.4.0-beta.1)
+  return matchVersion(content, new RegExp(`\\*\\s*Version:\\s*(${VERSION_PATTERN})`, 'i'));
 }
 
 /**
  * Extract version from changelog.txt
  */
 async function getChangelogVersion() {
-  try {
-    const changelogPath = join(process.cwd(), 'changelog.txt');
-    const content = await readFile(changelogPath, 'utf-8');
+  const content = await readProjectFile('changelog.txt');
+  if (content === null) return null;
 
-    // Match: 2025.12.07 - version 2.3.11
-    const match = content.match(/\d{4}\.\d{2}\.\d{2}\s+-\s+version\s+([0-9.]+)/i);
-    return match ? match[1] : null;
-  } catch (error) {
-    return null;
+  // The first release: 2025.12.07 - version 2.3.11
+  const latest = parseChangelog(content).releases[0];
+  return latest ? { version: latest.version, line: latest.lineNumber } : null;
+}
+
+/**
+ * Find PHP version constants:
+ *   define( 'WC_FOO_VERSION', '2.3.11' );
+ *   const VERSION = '2.3.11';
+ *
+ * Only the project root, includes/ and src/ are scanned, which is where
+ * extensions declare them.
+ */
+async function getPhpConstantVersions(config) {
+  const files = await glob(['*.php', 'includes/**/*.php', 'src/**/*.php'], {
+    cwd: process.cwd(),
+    ignore: [...SCAN_IGNORE, `${config.distPath || 'dist'}/**`],
+    nodir: true
+  });
+
+  const defineRegex = new RegExp(`define\\(\\s*['"]([A-Z0-9_]*VERSION)['"]\\s*,\\s*['"](${VERSION_PATTERN})['"]\\s*\\)`, 'g');
+  const constRegex = new RegExp(`\\bconst\\s+([A-Z0-9_]*VERSION)\\s*=\\s*['"](${VERSION_PATTERN})['"]`, 'g');
+  const found = [];
+
+  for (const file of files.sort()) {
+    const content = await readProjectFile(file);
+    if (!content) continue;
+
+    for (const regex of [defineRegex, constRegex]) {
+      for (const match of content.matchAll(regex)) {
+        if (FOREIGN_CONSTANT.test(match[1])) continue;
+
+        found.push({
+          label: match[1],
+          file,
+          version: match[2],
+          line: lineAt(content, match.index + match[0].lastIndexOf(match[2]))
+        });
+      }
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Extract the Stable tag from readme.txt
+ */
+async function getReadmeVersion() {
+  const content = await readProjectFile('readme.txt');
+  if (content === null) return null;
+
+  return matchVersion(content, new RegExp(`^\\s*Stable tag:\\s*(${VERSION_PATTERN})`, 'im'));
+}
+
+/**
+ * Find "version" in block.json files
+ */
+async function getBlockVersions(config) {
+  const files = await glob('**/block.json', {
+    cwd: process.cwd(),
+    ignore: [...SCAN_IGNORE, `${config.distPath || 'dist'}/**`],
+    nodir: true
+  });
+
+  const found = [];
+
+  for (const file of files.sort()) {
+    const content = await readProjectFile(file);
+    const match = content && matchVersion(content, /"version"\s*:\s*"([^"]+)"/);
+    if (match) {
+      found.push({ label: 'block.json', file, ...match });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Collect every version found in the project
+ *
+ * Built-in sources (package.json, plugin header, changelog.txt) and configured
+ * versionFiles are required. PHP constants, readme.txt and block.json files
+ * are only reported when present. A location matched by several sources is
+ * listed once.
+ *
+ * @returns {Promise<Array<{ label: string, file: string, version: string|null, line: number|null, required: boolean }>>}
+ */
+export async function collectVersions(config) {
+  const entries = [];
+  const seen = new Set();
+
+  const add = (entry) => {
+    if (entry.line) {
+      const key = `${entry.file}:${entry.line}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+    }
+    entries.push(entry);
+  };
+
+  const located = (label, file, required, found) => add({
+    label,
+    file,
+    version: found ? found.version : null,
+    line: found ? found.line : null,
+    required
+  });
+
+  located('package.json', 'package.json', true, await getPackageVersion());
+  located('plugin header', config.mainFile, true, await getPluginVersion(config.mainFile));
+  located('changelog', 'changelog.txt', true, await getChangelogVersion());
+
+  for (const versionFile of config.versionFiles || []) {
+    const found = await locateVersionInFile(join(process.cwd(), versionFile.file), versionFile.pattern);
+    located('versionFiles', versionFile.file, true, found);
+  }
+
+  for (const constant of await getPhpConstantVersions(config)) {
+    add({ ...constant, required: false });
+  }
+
+  const readme = await getReadmeVersion();
+  if (readme) {
+    located('Stable tag', 'readme.txt', false, readme);
   }
+
+  for (const block of await getBlockVersions(config)) {
+    add({ ...block, required: false });
+  }
+
+  return entries;
+}
+
+/**
+ * Print the versions table, highlighting mismatches
+ */
+function printVersionTable(entries, expected) {
+  const locations = entries.map(e => e.line ? `${e.file}:${e.line}` : e.file);
+  const width = Math.max(...locations.map(l => l.length), 8);
+  const labelWidth = Math.max(...entries.map(e => e.label.length), 6);
+
+  console.log(chalk.cyan('  Versions found:'));
+  console.log(chalk.gray(`  ${'Location'.padEnd(width)}  ${'Source'.padEnd(labelWidth)}  Version`));
+
+  entries.forEach((entry, index) => {
+    let version;
+    if (!entry.version) {
+      version = chalk.red('NOT FOUND');
+    } else if (expected && entry.version !== expected) {
+      version = entry.required ? chalk.red(`${entry.version} ✖`) : chalk.yellow(`${entry.version} ⚠`);
+    } else {
+      version = entry.version;
+    }
+
+    console.log(`  ${chalk.gray(locations[index].padEnd(width))}  ${chalk.gray(entry.label.padEnd(labelWidth))}  ${version}`);
+  });
+  console.log();
 }
 
 /**
  * Check that all version numbers match
+ *
+ * The plugin header is the reference version (it is what WordPress reads);
+ * package.json is used when the header has none.
  */
 export async function checkVersionConsistency(config) {
   logger.step('Checking version consistency...\n');
 
+  const entries = await collectVersions(config);
+  const byLabel = (label) => entries.find(e => e.label === label)?.version || null;
+
   const versions = {
-    package: await getPackageVersion(),
-    plugin: await getPluginVersion(config.mainFile),
-    changelog: await getChangelogVersion()
+    package: byLabel('package.json'),
+    plugin: byLabel('plugin header'),
+    changelog: byLabel('changelog')
   };
 
-  // Display versions
-  console.log(chalk.cyan('  Versions found:'));
-  console.log(chalk.gray('  ├─ package.json:  '), versions.package || chalk.red('NOT FOUND'));
-  console.log(chalk.gray('  ├─ plugin file:   '), versions.plugin || chalk.red('NOT FOUND'));
-  console.log(chalk.gray('  └─ changelog.txt: '), versions.changelog || chalk.red('NOT FOUND'));
-  console.log();
+  const expected = versions.plugin || versions.package;
+  printVersionTable(entries, expected);
 
   // Check if any are missing
-  const missing = [];
-  if (!versions.package) missing.push('package.json');
-  if (!versions.plugin) missing.push(config.mainFile);
-  if (!versions.changelog) missing.push('changelog.txt');
+  const missing = [...new Set(entries.filter(e => e.required && !e.version).map(e => e.file))];
 
   if (missing.length > 0) {
     logger.error(`Version not found in: ${missing.join(', ')}`);
-    return { valid: false, versions, missing };
+    return { valid: false, versions, entries, missing };
   }
 
-  // Check if all match
-  const allMatch = versions.package === versions.plugin &&
-                   versions.plugin === versions.changelog;
+  // Detected files (PHP constants, readme.txt, block.json) often carry their own
+  // version, e.g. a block's, so only required and configured files must match
+  const location = e => (e.line ? `${e.file}:${e.line}` : e.file);
+  const differing = entries.filter(e => e.version && e.version !== expected);
+  const mismatched = entries.filter(e => e.required && e.version !== expected);
 
-  if (!allMatch) {
+  for (const e of differing.filter(e => !e.required)) {
+    logger.warn(`${location(e)} (${e.label}) has ${e.version}, expected ${expected}`);
+  }
+
+  if (mismatched.length > 0) {
     logger.error('Version mismatch detected!');
+    mismatched.forEach(e => {
+      console.log(chalk.yellow(`    ${location(e)} (${e.label}) has ${e.version}, expected ${expected}`));
+    });
     console.log(chalk.yellow('\n  Please ensure all versions match before deploying.\n'));
-    return { valid: false, versions, mismatch: true };
+    return { valid: false, versions, entries, mismatch: true, mismatched };
   }
 
-  logger.success(`All versions match: ${chalk.bold(versions.package)}\n`);
-  return { valid: true, versions, version: versions.package };
+  const optionalDiffering = differing.length - mismatched.length;
+  logger.success(optionalDiffering > 0
+    ? `Required versions match: ${chalk.bold(expected)} (${optionalDiffering} other version(s) differ)\n`
+    : `All versions match: ${chalk.bold(expected)}\n`);
+  return { valid: true, versions, entries, version: expected };
 }
 
 /**
@@ -103,5 +303,9 @@ export async function getCurrentVersions(config) {
     changelog: await getChangelogVersion()
   };
 
-  return versions;
+  return {
+    package: versions.package?.version || null,
+    plugin: versions.plugin?.version || null,
+    changelog: versions.changelog?.version || null
+  };
 }
@@ -0,0 +1,49 @@
+import semver from 'semver';
+
+/**
+ * Regex source matching a semantic version, including optional pre-release
+ * and build metadata: 2.4.0, 2.4.0-beta.1, 2.4.0-rc.2+build.5
+ *
+ * Contains no capture groups, so it can be embedded in larger patterns.
+ */
+export const VERSION_PATTERN =
+  '\\d+\\.\\d+\\.\\d+' +
+  '(?:-[0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*)?' +
+  '(?:\\+[0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*)?';
+
+// Keywords accepted in place of an explicit version (es version prerelease)
+export const RELEASE_TYPES = ['major', 'minor', 'patch', 'premajor', 'preminor', 'prepatch', 'prerelease'];
+
+/**
+ * Escape special regex characters in a string
+ */
+export function escapeRegex(string) {
+  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Increment a version by release type
+ * Pre-release numbering starts at 1 (2.4.0-beta.1) to match our tags. Without
+ * a preid, the identifier of the current pre-release is kept; a stable version
+ * has none, so pre-release types return null for it (semver would give "2.3.1-0").
+ *
+ * @param {string} version - Current version
+ * @param {string} releaseType - One of RELEASE_TYPES
+ * @param {string} [preid] - Pre-release identifier, e.g. "beta"
+ * @returns {string|null}
+ */
+export function incrementVersion(version, releaseType, preid) {
+  if (releaseType.startsWith('pre')) {
+    const [currentId] = semver.prerelease(version) || [];
+    const identifier = preid || (typeof currentId === 'string' ? currentId : null);
+    return identifier ? semver.inc(version, releaseType, identifier, '1') : null;
+  }
+  return semver.inc(version, releaseType);
+}
+
+/**
+ * Check whether a version has a pre-release component (2.4.0-beta.1)
+ */
+export function isPrerelease(version) {
+  return semver.prerelease(version) !== null;
+}
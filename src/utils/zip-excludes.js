@@ -0,0 +1,39 @@
+const DEFAULT_EXCLUDE = [
+  // Build/dev folders
+  'node_modules',
+  'dist',
+  'tests',
+  'test',
+  'grunt',
+  'build',
+  // Config/lock files
+  'phpcs.xml',
+  'phpcs.xml.dist',
+  'composer.json',
+  'composer.lock',
+  'package.json',
+  'package-lock.json',
+  'Gruntfile.js',
+  'gulpfile.js',
+  'webpack.config.js',
+  // Documentation
+  'README.md',
+  'readme.md',
+  'CHANGELOG.md',
+  'CONTRIBUTING.md',
+  'LICENSE.md',
+  // Misc
+  'Thumbs.db'
+];
+
+// Patterns that use glob syntax (separate for proper handling)
+const GLOB_EXCLUDE = [
+  '.*',
+  '*.map',
+  '*.old'
+];
+
+/**
+ * Built-in excludes a project can turn off with disableDefaultExcludes
+ */
+export const DEFAULT_EXCLUDE_PATTERNS = [...DEFAULT_EXCLUDE, ...GLOB_EXCLUDE];
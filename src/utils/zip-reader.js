@@ -0,0 +1,112 @@
+import { readFile } from 'fs/promises';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+/**
+ * Find the end of central directory record (the last thing in a zip, before an optional comment)
+ */
+function findEndOfCentralDirectory(buffer) {
+  const stop = Math.max(0, buffer.length - 22 - MAX_COMMENT_LENGTH);
+
+  for (let offset = buffer.length - 22; offset >= stop; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+
+  throw new Error('not a zip file (no end of central directory record)');
+}
+
+/**
+ * Read the 64-bit sizes of an entry from its ZIP64 extra field
+ * Only the fields that are 0xffffffff in the header are present, in this order.
+ */
+function readZip64Sizes(extra, entry) {
+  for (let offset = 0; offset + 4 <= extra.length;) {
+    const id = extra.readUInt16LE(offset);
+    const length = extra.readUInt16LE(offset + 2);
+
+    if (id === 0x0001) {
+      let field = offset + 4;
+      if (entry.size === 0xffffffff) {
+        entry.size = Number(extra.readBigUInt64LE(field));
+        field += 8;
+      }
+      if (entry.compressedSize === 0xffffffff) {
+        entry.compressedSize = Number(extra.readBigUInt64LE(field));
+      }
+      return;
+    }
+
+    offset += 4 + length;
+  }
+}
+
+/**
+ * List the entries of a zip file from its central directory
+ * Nothing is decompressed; the CRC-32 of every file comes from the archive.
+ *
+ * @param {string} zipPath
+ * @returns {Promise<Array<{ name: string, isDir: boolean, size: number, compressedSize: number, crc32: number }>>}
+ */
+export async function readZipEntries(zipPath) {
+  const buffer = await readFile(zipPath);
+
+  if (buffer.length < 22) {
+    throw new Error('not a zip file (too small)');
+  }
+
+  const eocd = findEndOfCentralDirectory(buffer);
+  let count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (offset === 0xffffffff || count === 0xffff) {
+    const locator = eocd - 20;
+    if (locator < 0 || buffer.readUInt32LE(locator) !== ZIP64_LOCATOR_SIGNATURE) {
+      throw new Error('corrupt ZIP64 archive (no end of central directory locator)');
+    }
+
+    const zip64 = Number(buffer.readBigUInt64LE(locator + 8));
+    if (buffer.readUInt32LE(zip64) !== ZIP64_EOCD_SIGNATURE) {
+      throw new Error('corrupt ZIP64 archive (no end of central directory record)');
+    }
+
+    count = Number(buffer.readBigUInt64LE(zip64 + 32));
+    offset = Number(buffer.readBigUInt64LE(zip64 + 48));
+  }
+
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_HEADER_SIGNATURE) {
+      throw new Error(`corrupt zip file (bad central directory entry ${i + 1} of ${count})`);
+    }
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const name = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+
+    const entry = {
+      name,
+      isDir: name.endsWith('/'),
+      size: buffer.readUInt32LE(offset + 24),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      crc32: buffer.readUInt32LE(offset + 16)
+    };
+
+    if (entry.size === 0xffffffff || entry.compressedSize === 0xffffffff) {
+      const extraStart = offset + 46 + nameLength;
+      readZip64Sizes(buffer.subarray(extraStart, extraStart + extraLength), entry);
+    }
+
+    entries.push(entry);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChangelog, renderChangelog, addRelease, addEntries } from '../src/utils/changelog.js';
+
+// Mostly LF, with one stray CRLF at the end
+const MIXED_EOL = [
+  '*** Example Changelog ***\n',
+  '\n',
+  '2025.02.01 - version 2.4.0\n',
+  '* New: c\n',
+  '\n',
+  '2025.01.01 - version 2.3.0\n',
+  '* Fix: old\r\n'
+].join('');
+
+test('parses releases in a file that mixes LF and CRLF', () => {
+  const changelog = parseChangelog(MIXED_EOL);
+
+  assert.deepEqual(changelog.releases.map(release => release.version), ['2.4.0', '2.3.0']);
+  assert.deepEqual(changelog.releases[1].entries.map(entry => entry.text), ['Fix: old']);
+  assert.equal(changelog.eol, '\n');
+});
+
+test('renders a mixed line ending file byte for byte', () => {
+  assert.equal(renderChangelog(parseChangelog(MIXED_EOL)), MIXED_EOL);
+});
+
+test('renders CRLF and files without a final newline byte for byte', () => {
+  const crlf = '*** Example ***\r\n\r\n2025.01.01 - version 1.0.0\r\n    * Fix: a\r\n';
+  const unterminated = '2025.01.01 - version 1.0.0\n    * Fix: a';
+
+  assert.equal(renderChangelog(parseChangelog(crlf)), crlf);
+  assert.equal(renderChangelog(parseChangelog(unterminated)), unterminated);
+});
+
+test('edits keep the line endings of untouched lines', () => {
+  const changelog = parseChangelog(MIXED_EOL);
+  addRelease(changelog, { version: '2.5.0', date: '2025.03.01', entries: ['Fix: new'] });
+  addEntries(changelog, changelog.releases[2], ['Update: more']);
+
+  assert.equal(renderChangelog(changelog), [
+    '*** Example Changelog ***\n',
+    '\n',
+    '2025.03.01 - version 2.5.0\n',
+    '* Fix: new\n',
+    '\n',
+    '2025.02.01 - version 2.4.0\n',
+    '* New: c\n',
+    '\n',
+    '2025.01.01 - version 2.3.0\n',
+    '* Fix: old\r\n',
+    '* Update: more\n'
+  ].join(''));
+});